@@ -0,0 +1,90 @@
+// ============================================
+// CitedAnswer.jsx
+// ============================================
+import { useState } from 'react';
+import { Database, Calculator } from 'lucide-react';
+
+// Matches the [table:id] / [computed] markers returned by /api/chat/ask
+const MARKER_REGEX = /\[([a-z_]+:[A-Za-z0-9_.-]+|computed)\]/g;
+
+const sourceLabel = (citation) => {
+    if (citation.type === 'computed') return `Computed over ${citation.table}`;
+    return `${citation.table} #${citation.id}`;
+};
+
+const CitedAnswer = ({ content, citations = [] }) => {
+    const [activeMarker, setActiveMarker] = useState(null);
+    const byMarker = new Map(citations.map((c) => [c.marker, c]));
+
+    const toggle = (marker) => setActiveMarker((prev) => (prev === marker ? null : marker));
+
+    // Split the answer on citation markers and turn each known one into a numbered link
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of content.matchAll(MARKER_REGEX)) {
+        parts.push(content.slice(lastIndex, match.index));
+        const citation = byMarker.get(match[1]);
+        parts.push(
+            citation ? (
+                <button
+                    key={`${match.index}-${match[1]}`}
+                    type="button"
+                    onClick={() => toggle(citation.marker)}
+                    className="mx-0.5 align-super text-[10px] font-semibold text-primary hover:underline"
+                    title={sourceLabel(citation)}
+                >
+                    [{citation.n}]
+                </button>
+            ) : null
+        );
+        lastIndex = match.index + match[0].length;
+    }
+    parts.push(content.slice(lastIndex));
+
+    const active = activeMarker ? byMarker.get(activeMarker) : null;
+
+    return (
+        <div>
+            <p className="leading-relaxed whitespace-pre-wrap">{parts}</p>
+
+            {citations.length > 0 && (
+                <div className="mt-3 pt-2 border-t border-white/10 space-y-2">
+                    <div className="flex flex-wrap gap-1.5">
+                        {citations.map((citation) => (
+                            <button
+                                key={citation.marker}
+                                type="button"
+                                onClick={() => toggle(citation.marker)}
+                                className={`flex items-center gap-1 px-2 py-0.5 rounded-md text-xs transition-colors ${activeMarker === citation.marker
+                                    ? 'bg-primary text-primary-foreground'
+                                    : 'bg-white/10 text-muted-foreground hover:bg-white/20'
+                                    }`}
+                            >
+                                {citation.type === 'computed'
+                                    ? <Calculator className="w-3 h-3" />
+                                    : <Database className="w-3 h-3" />}
+                                <span>[{citation.n}] {sourceLabel(citation)}</span>
+                            </button>
+                        ))}
+                    </div>
+
+                    {active && (
+                        <div className="rounded-lg bg-black/20 p-2 text-xs font-mono text-muted-foreground overflow-x-auto">
+                            {active.type === 'computed' ? (
+                                <pre className="whitespace-pre-wrap">{JSON.stringify(active.plan, null, 2)}</pre>
+                            ) : (
+                                Object.entries(active.record || {}).map(([key, value]) => (
+                                    <div key={key}>
+                                        <span className="text-primary">{key}</span>: {String(value)}
+                                    </div>
+                                ))
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CitedAnswer;
@@ -1,15 +1,69 @@
 
 import { useState, useRef, useEffect } from 'react';
-import { Send, Bot, User, Sparkles } from 'lucide-react';
+import { Send, Bot, User, Sparkles, Filter, RotateCcw, Zap, AlertTriangle } from 'lucide-react';
+import CitedAnswer from '../CitedAnswer';
+import { useAuth } from '../../../contexts/AuthContext';
+
+// The server-side AskAI session is remembered so follow-up questions keep their context
+const SESSION_STORAGE_KEY = 'askAiSessionId';
+
+// Renders one applied filter echoed back by /api/chat/ask, e.g. "date: 2013" or "device: mobile"
+const formatFilter = (filter) => {
+    if (filter.type === 'date') return `date: ${filter.label}`;
+    return `${filter.type}: ${filter.values.join(', ')}`;
+};
+
+const GREETING = { role: 'assistant', content: 'Hello! I am your AI assistant. Ask me anything about your orders, products, refunds, or website traffic.' };
 
 const AskAI = () => {
-    const [messages, setMessages] = useState([
-        { role: 'assistant', content: 'Hello! I am your AI assistant. Ask me anything about your orders, products, or refunds.' }
-    ]);
+    const { token } = useAuth();
+    const [messages, setMessages] = useState([GREETING]);
     const [input, setInput] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [sessionId, setSessionId] = useState(null);
     const messagesEndRef = useRef(null);
 
+    const rememberSession = (id) => {
+        if (!id) return;
+        setSessionId(id);
+        localStorage.setItem(SESSION_STORAGE_KEY, id);
+    };
+
+    // Restore the previous conversation for signed-in users
+    useEffect(() => {
+        const storedSessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (!token || !storedSessionId) return;
+
+        fetch(`http://localhost:8000/api/chat/ask/${storedSessionId}`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+            credentials: 'include'
+        })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.status) {
+                    localStorage.removeItem(SESSION_STORAGE_KEY);
+                    return;
+                }
+                setSessionId(storedSessionId);
+                setMessages([
+                    GREETING,
+                    ...data.data.messages.map(msg => ({
+                        role: msg.role,
+                        content: msg.content,
+                        citations: msg.ragData?.citations || [],
+                        confidence: msg.ragData?.confidence || null
+                    }))
+                ]);
+            })
+            .catch(error => console.error("Failed to restore AskAI conversation:", error));
+    }, [token]);
+
+    const startNewConversation = () => {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        setSessionId(null);
+        setMessages([GREETING]);
+    };
+
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
     };
@@ -28,36 +82,95 @@ const AskAI = () => {
         setIsLoading(true);
 
         try {
-            // Get token if needed (assuming auth middleware is active)
-            // But for now we just fetch. If auth fails, we handle it.
-            // Note: The backend route /api/chat/ask needs to be public or we need token
-            // Based on app.js: app.use("/api/chat", chatRouter) and chatRouter has router.post("/ask"...)
-            // And app.js has app.use(verifyJWT) before /api/chat. So we need credentials.
-
-            // Assuming the app handles auth headers globally or we rely on cookies.
-            // If using axios with credentials: true.
-            // Using fetch here for simplicity.
-
+            // /api/chat/ask works anonymously; with a token the conversation is persisted
+            // and follow-up questions are rewritten using the earlier turns
             const res = await fetch('http://localhost:8000/api/chat/ask', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    // Add Authorization header if you have the token in localStorage
-                    // 'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+                    'Accept': 'text/event-stream',
+                    ...(token && { 'Authorization': `Bearer ${token}` })
                 },
                 credentials: 'include', // If using cookies
-                body: JSON.stringify({ query: userMessage })
+                body: JSON.stringify({ query: userMessage, sessionId, stream: true })
+            });
+
+            if (!res.ok) {
+                throw new Error('Failed to fetch response');
+            }
+
+            // Append an empty assistant message and grow it as SSE events arrive
+            let assistantIndex;
+            setMessages(prev => {
+                assistantIndex = prev.length;
+                return [...prev, { role: 'assistant', content: '', filters: [], citations: [], streaming: true }];
             });
+            const updateAssistant = (changes) => setMessages(prev => prev.map((msg, i) => (
+                i === assistantIndex ? { ...msg, ...changes } : msg
+            )));
+
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder('utf-8');
+            let buffer = '';
+            let answerText = '';
 
-            const data = await res.json();
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
 
-            console.log('API Response:', data); // Debug log
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop() || '';
 
-            if (data.status) {
-                setMessages(prev => [...prev, { role: 'assistant', content: data.data.answer }]);
-            } else {
-                setMessages(prev => [...prev, { role: 'assistant', content: "Sorry, I encountered an error answering that." }]);
+                for (const event of events) {
+                    const [eventLine, ...dataLines] = event.split('\n');
+                    const eventType = eventLine.replace('event:', '').trim();
+                    const data = dataLines.join('\n').replace('data:', '').trim();
+
+                    if (!data) continue;
+
+                    // Keep-alives and malformed frames are skipped rather than ending the answer
+                    let payload;
+                    try {
+                        payload = JSON.parse(data);
+                    } catch {
+                        continue;
+                    }
+                    switch (eventType) {
+                        case 'retrieval':
+                            rememberSession(payload.sessionId);
+                            updateAssistant({
+                                filters: payload.filters?.applied || [],
+                                standaloneQuery: payload.standaloneQuery !== userMessage ? payload.standaloneQuery : null,
+                                cached: payload.cache?.hit || false
+                            });
+                            break;
+                        case 'token':
+                            answerText += payload.token;
+                            updateAssistant({ content: answerText });
+                            break;
+                        case 'complete':
+                            updateAssistant({
+                                content: payload.answer,
+                                citations: payload.citations || [],
+                                confidence: payload.confidence || null,
+                                streaming: false
+                            });
+                            break;
+                        case 'error':
+                            updateAssistant({
+                                content: payload.code === 'INDEX_MODEL_MISMATCH'
+                                    ? "AskAI is unavailable until the data is re-indexed."
+                                    : "Sorry, I encountered an error answering that.",
+                                streaming: false
+                            });
+                            break;
+                        default:
+                            break;
+                    }
+                }
             }
+            updateAssistant({ streaming: false });
 
         } catch (error) {
             console.error("AI Chat Error:", error);
@@ -75,15 +188,26 @@ const AskAI = () => {
                     <div className="w-8 h-8 rounded-lg bg-primary/20 flex items-center justify-center">
                         <Sparkles className="w-4 h-4 text-primary" />
                     </div>
-                    <div>
+                    <div className="flex-1">
                         <h2 className="font-semibold text-foreground">AI Assistant</h2>
                         <p className="text-xs text-muted-foreground">Powered by Groq (Llama 3.3) & Pinecone</p>
                     </div>
+                    {messages.length > 1 && (
+                        <button
+                            type="button"
+                            onClick={startNewConversation}
+                            disabled={isLoading}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs text-muted-foreground bg-white/5 hover:bg-white/10 disabled:opacity-50 transition-all"
+                        >
+                            <RotateCcw className="w-3 h-3" />
+                            New chat
+                        </button>
+                    )}
                 </div>
 
                 {/* Messages */}
                 <div className="flex-1 overflow-y-auto p-4 space-y-4">
-                    {messages.map((msg, idx) => (
+                    {messages.map((msg, idx) => (msg.streaming && !msg.content) ? null : (
                         <div key={idx} className={`flex gap-3 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
                             {msg.role === 'assistant' && (
                                 <div className="w-8 h-8 rounded-full bg-primary/20 flex items-center justify-center shrink-0">
@@ -95,7 +219,41 @@ const AskAI = () => {
                                 ? 'bg-primary text-primary-foreground rounded-tr-none'
                                 : 'bg-white/10 text-foreground rounded-tl-none'
                                 }`}>
-                                <p className="leading-relaxed whitespace-pre-wrap">{msg.content}</p>
+                                {msg.standaloneQuery && (
+                                    <p className="mb-1 text-xs italic text-muted-foreground">Interpreted as: {msg.standaloneQuery}</p>
+                                )}
+                                {msg.role === 'assistant'
+                                    ? <CitedAnswer content={msg.content} citations={msg.citations} />
+                                    : <p className="leading-relaxed whitespace-pre-wrap">{msg.content}</p>}
+                                {msg.confidence?.low && (
+                                    <div
+                                        className="mt-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-500/10 text-amber-400 text-xs"
+                                        title={msg.confidence.reason || `Retrieval ${msg.confidence.retrieval ?? '-'}, overlap ${msg.confidence.overlap ?? '-'}`}
+                                    >
+                                        <AlertTriangle className="w-3 h-3" />
+                                        <span>
+                                            {msg.confidence.abstained
+                                                ? 'Not enough relevant data'
+                                                : `Low confidence (${Math.round(msg.confidence.score * 100)}%)`}
+                                        </span>
+                                    </div>
+                                )}
+                                {msg.cached && (
+                                    <div className="mt-2 flex items-center gap-1 text-xs text-muted-foreground">
+                                        <Zap className="w-3 h-3" />
+                                        <span>Answered from cache</span>
+                                    </div>
+                                )}
+                                {msg.filters?.length > 0 && (
+                                    <div className="mt-2 flex flex-wrap items-center gap-1.5">
+                                        <Filter className="w-3 h-3 text-muted-foreground" />
+                                        {msg.filters.map((filter, i) => (
+                                            <span key={i} className="px-2 py-0.5 rounded-full bg-primary/10 text-primary text-xs">
+                                                {formatFilter(filter)}
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
                             </div>
 
                             {msg.role === 'user' && (
@@ -105,7 +263,7 @@ const AskAI = () => {
                             )}
                         </div>
                     ))}
-                    {isLoading && (
+                    {isLoading && !(messages[messages.length - 1]?.streaming && messages[messages.length - 1]?.content) && (
                         <div className="flex gap-3 justify-start">
                             <div className="w-8 h-8 rounded-full bg-primary/20 flex items-center justify-center shrink-0">
                                 <Bot className="w-4 h-4 text-primary" />
@@ -1,13 +1,19 @@
 import Session from "../models/session.js";
 import Message from "../models/message.js";
 import IterationLog from "../models/iterationLog.js";
-import groqService from "../services/groqService.js";
-import { asyncHandler, statusType, sendResponse } from "../utils/index.js";
+import llmService from "../services/llmService.js";
+import schemaContext from "../services/rag/schemaContext.js";
+import plannerLoop from "../services/plannerLoop.js";
+import { asyncHandler, statusType, sendResponse, sendStreamChunk } from "../utils/index.js";
 import { EventEmitter } from "events";
 
 // Create a global event emitter for SSE
 const chatEvents = new EventEmitter();
 
+// AskAI conversations share the Session collection; the planner chat must never list, open or
+// write to them. `$ne` also matches sessions created before `kind` existed.
+const PLANNER_SESSIONS = { kind: { $ne: "askai" } };
+
 // Create a new chat session
 const createSession = asyncHandler(async (req, res) => {
     try {
@@ -54,7 +60,7 @@ const getSessions = asyncHandler(async (req, res) => {
         const { limit = 20, page = 1, status } = req.query;
         const skip = (page - 1) * limit;
 
-        const filter = { userId };
+        const filter = { userId, ...PLANNER_SESSIONS };
         if (status) filter.status = status;
 
         const sessions = await Session.find(filter)
@@ -100,7 +106,7 @@ const getSessionMessages = asyncHandler(async (req, res) => {
         const { limit = 50, before } = req.query;
 
         // Verify session belongs to user
-        const session = await Session.findOne({ _id: sessionId, userId });
+        const session = await Session.findOne({ _id: sessionId, userId, ...PLANNER_SESSIONS });
         if (!session) {
             return sendResponse(
                 res,
@@ -147,10 +153,14 @@ const getSessionMessages = asyncHandler(async (req, res) => {
     }
 });
 
-// Send message with Planner-Researcher loop (SSE streaming)
+// Send message with Planner-Researcher loop (SSE streaming). Per iteration: `draft` for every
+// planner token as the provider streams it, `verdict` once the researcher has judged the
+// draft, then `iteration` with its stats and rubric scores. `complete` carries the accepted
+// response, or the best-scoring draft when the loop stops without the researcher being
+// satisfied. `maxIterations` and `maxTokens` in the body override the loop's budgets.
 const sendMessage = asyncHandler(async (req, res) => {
     try {
-        const { sessionId, content } = req.body;
+        const { sessionId, content, maxIterations, maxTokens } = req.body;
         const userId = req.user._id;
 
         if (!sessionId || !content) {
@@ -163,8 +173,13 @@ const sendMessage = asyncHandler(async (req, res) => {
             );
         }
 
+        const { budgets, error: budgetError } = plannerLoop.getBudgets({ maxIterations, maxTokens });
+        if (budgetError) {
+            return sendResponse(res, false, null, budgetError, statusType.BAD_REQUEST);
+        }
+
         // Verify session belongs to user
-        const session = await Session.findOne({ _id: sessionId, userId });
+        const session = await Session.findOne({ _id: sessionId, userId, ...PLANNER_SESSIONS });
         if (!session) {
             return sendResponse(
                 res,
@@ -193,36 +208,57 @@ const sendMessage = asyncHandler(async (req, res) => {
         res.setHeader("Cache-Control", "no-cache");
         res.setHeader("Connection", "keep-alive");
         res.setHeader("X-Accel-Buffering", "no"); // For nginx
+        res.flushHeaders?.();
 
         // Send initial event
-        res.write(
-            `event: session\ndata: ${JSON.stringify({
-                sessionId,
-                messageId: userMessage._id,
-                status: "processing"
-            })}\n\n`
-        );
+        sendStreamChunk(res, "session", {
+            sessionId,
+            messageId: userMessage._id,
+            status: "processing"
+        });
+
+        // Data dictionary notes for any tables/fields the query names (by name only, so the
+        // planner loop does not wait on the embedding model)
+        const { notes: schemaNotes } = await schemaContext.lookup(content, { semantic: false });
 
-        // Initialize iteration variables
+        // Initialize iteration variables. Every draft is kept with its verdict so the best one
+        // can be returned if the researcher is never satisfied.
         let allIssues = [];
-        let finalResponse = "";
         let iterationCount = 0;
-        const maxIterations = 10; // Safety limit
+        let stopReason = "max_iterations";
+        const candidates = [];
 
         // Main Planner-Researcher loop
-        while (iterationCount < maxIterations) {
+        while (iterationCount < budgets.maxIterations) {
+            if (plannerLoop.exceedsTokenBudget(candidates, budgets.maxTokens)) {
+                stopReason = "token_budget";
+                break;
+            }
             iterationCount++;
 
-            // Call Planner
+            // Call Planner, streaming its draft as it is generated
             const startTime = Date.now();
-            const plannerResult = await groqService.callPlanner(content, allIssues);
+            let firstTokenMs = null;
+            const plannerResult = await llmService.callPlanner(content, allIssues, schemaNotes, (token) => {
+                if (firstTokenMs === null) firstTokenMs = Date.now() - startTime;
+                sendStreamChunk(res, "draft", { iteration: iterationCount, token });
+            });
 
             // Call Researcher
-            const researcherResult = await groqService.callResearcher(
+            const researcherResult = await llmService.callResearcher(
                 content,
                 plannerResult.response
             );
 
+            sendStreamChunk(res, "verdict", {
+                iteration: iterationCount,
+                satisfied: researcherResult.is_satisfied || false,
+                scores: researcherResult.scores,
+                score: researcherResult.score,
+                issues: researcherResult.issues || [],
+                summary: researcherResult.planner_response_summary || ""
+            });
+
             const processingTime = Date.now() - startTime;
 
             // Save iteration log
@@ -235,7 +271,10 @@ const sendMessage = asyncHandler(async (req, res) => {
                 researcherEvaluation: {
                     issues: researcherResult.issues || [],
                     isSatisfied: researcherResult.is_satisfied || false,
-                    summary: researcherResult.planner_response_summary || ""
+                    summary: researcherResult.planner_response_summary || "",
+                    scores: researcherResult.scores,
+                    score: researcherResult.score,
+                    repairAttempts: researcherResult.repairs
                 },
                 issuesFromPrevious: [...allIssues],
                 tokensConsumed: {
@@ -243,37 +282,40 @@ const sendMessage = asyncHandler(async (req, res) => {
                     researcher: researcherResult.tokens,
                     total: plannerResult.tokens + researcherResult.tokens
                 },
-                processingTimeMs: processingTime
+                processingTimeMs: processingTime,
+                firstTokenMs
+            });
+
+            candidates.push({
+                iteration: iterationCount,
+                response: plannerResult.response,
+                score: researcherResult.score,
+                issues: researcherResult.issues || [],
+                tokens: iterationLog.tokensConsumed.total
             });
 
             // Send iteration progress via SSE
-            res.write(
-                `event: iteration\ndata: ${JSON.stringify({
-                    iteration: iterationCount,
-                    issuesFound: researcherResult.issues?.length || 0,
-                    satisfied: researcherResult.is_satisfied || false,
-                    tokensUsed: iterationLog.tokensConsumed.total
-                })}\n\n`
-            );
+            sendStreamChunk(res, "iteration", {
+                iteration: iterationCount,
+                issuesFound: researcherResult.issues?.length || 0,
+                satisfied: researcherResult.is_satisfied || false,
+                scores: researcherResult.scores,
+                score: researcherResult.score,
+                tokensUsed: iterationLog.tokensConsumed.total,
+                firstTokenMs,
+                processingTimeMs: processingTime
+            });
 
             // Check if researcher is satisfied
             if (researcherResult.is_satisfied) {
-                finalResponse = plannerResult.response;
-
-                // Send final response in chunks for streaming effect
-                const chunkSize = 50;
-                for (let i = 0; i < finalResponse.length; i += chunkSize) {
-                    const chunk = finalResponse.slice(i, i + chunkSize);
-                    res.write(
-                        `event: chunk\ndata: ${JSON.stringify({
-                            chunk,
-                            complete: i + chunkSize >= finalResponse.length
-                        })}\n\n`
-                    );
-
-                    // Small delay for streaming effect
-                    await new Promise((resolve) => setTimeout(resolve, 50));
-                }
+                stopReason = "satisfied";
+                break;
+            }
+
+            // Further drafts are unlikely to help if the researcher keeps raising the same issues
+            const stall = plannerLoop.detectStall(candidates);
+            if (stall) {
+                stopReason = stall;
                 break;
             }
 
@@ -288,6 +330,13 @@ const sendMessage = asyncHandler(async (req, res) => {
             }
         }
 
+        // The accepted draft, or the best-scoring one when the loop stopped for another reason
+        const selected = stopReason === "satisfied" ? candidates[candidates.length - 1] : plannerLoop.selectBest(candidates);
+        const finalResponse = selected.response;
+        if (stopReason !== "satisfied") {
+            console.log(`🧭 Planner loop stopped (${stopReason}) after ${iterationCount} iterations; returning draft ${selected.iteration} (score ${selected.score ?? "n/a"})`);
+        }
+
         // Create assistant message with final response
         const assistantMessage = await Message.create({
             sessionId,
@@ -296,8 +345,11 @@ const sendMessage = asyncHandler(async (req, res) => {
             role: "assistant",
             iterationData: {
                 totalIterations: iterationCount,
-                researcherSatisfied: true,
-                finalResponse: finalResponse
+                researcherSatisfied: stopReason === "satisfied",
+                finalResponse: finalResponse,
+                selectedIteration: selected.iteration,
+                score: selected.score,
+                stopReason
             },
             tokensUsed: await IterationLog.aggregate([
                 { $match: { messageId: userMessage._id } },
@@ -316,28 +368,40 @@ const sendMessage = asyncHandler(async (req, res) => {
         });
 
         // Send completion event
-        res.write(
-            `event: complete\ndata: ${JSON.stringify({
-                messageId: assistantMessage._id,
-                totalIterations: iterationCount,
-                totalTokens: assistantMessage.tokensUsed,
-                timestamp: new Date().toISOString()
-            })}\n\n`
-        );
+        sendStreamChunk(res, "complete", {
+            messageId: assistantMessage._id,
+            response: finalResponse,
+            satisfied: stopReason === "satisfied",
+            stopReason,
+            selectedIteration: selected.iteration,
+            score: selected.score,
+            totalIterations: iterationCount,
+            totalTokens: assistantMessage.tokensUsed,
+            timestamp: new Date().toISOString()
+        });
 
         res.end();
     } catch (error) {
         console.error("Send message error:", error);
 
-        // Send error via SSE if connection still open
+        // Failed before the stream opened: a plain JSON error like the other handlers
         if (!res.headersSent) {
-            res.write(
-                `event: error\ndata: ${JSON.stringify({
-                    error: "Failed to process message",
-                    details: error.message
-                })}\n\n`
+            return sendResponse(
+                res,
+                false,
+                null,
+                "Failed to process message",
+                statusType.INTERNAL_SERVER_ERROR
             );
         }
+
+        // Send error via SSE if connection still open (drafts may already have been streamed)
+        if (!res.writableEnded) {
+            sendStreamChunk(res, "error", {
+                error: "Failed to process message",
+                details: error.message
+            });
+        }
         res.end();
     }
 });
@@ -349,7 +413,7 @@ const archiveSession = asyncHandler(async (req, res) => {
         const userId = req.user._id;
 
         const session = await Session.findOneAndUpdate(
-            { _id: sessionId, userId },
+            { _id: sessionId, userId, ...PLANNER_SESSIONS },
             { status: "archived" },
             { new: true }
         );
@@ -1,59 +1,304 @@
+import llmService from "../services/llmService.js";
+import ragPipeline from "../services/rag/ragPipeline.js";
+import conversationStore from "../services/rag/conversationStore.js";
+import answerCache from "../services/rag/answerCache.js";
+import { EXPANSION_MODES } from "../services/rag/queryExpander.js";
+import { INDEX_MODEL_MISMATCH } from "../services/rag/indexGuard.js";
+import { asyncHandler, sendResponse, sendStreamChunk, statusType } from "../utils/index.js";
 
-import { Pinecone } from "@pinecone-database/pinecone";
-import embeddingService from "../services/embeddingService.js";
-import groqService from "../services/groqService.js";
-import { asyncHandler, sendResponse, statusType } from "../utils/index.js";
+const wantsStream = (req) =>
+    req.body.stream === true || req.headers.accept?.includes("text/event-stream");
 
-// Configuration (Should be in env)
-const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
-const PINECONE_INDEX_NAME = process.env.PINECONE_INDEX_NAME;
-const NAMESPACE = "orders-ns";
+const MAX_TOP_K = 20;
+const WEIGHT_FIELDS = ["vector", "keyword"];
 
-// Initialize Pinecone
-const pinecone = new Pinecone({ apiKey: PINECONE_API_KEY });
-const index = pinecone.Index(PINECONE_INDEX_NAME);
+const invalidTopK = (topK) =>
+    !Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K
+        ? `topK must be an integer from 1 to ${MAX_TOP_K}`
+        : null;
+
+// `weights` overrides the fusion weights ({ vector, keyword } from 0 to 1) and RRF `k`
+const invalidWeights = (weights) => {
+    if (weights === undefined) return null;
+    if (!weights || typeof weights !== "object" || Array.isArray(weights)) return "weights must be an object";
+    for (const [field, value] of Object.entries(weights)) {
+        if (field === "k") {
+            if (typeof value !== "number" || !(value > 0)) return "weights.k must be a positive number";
+        } else if (!WEIGHT_FIELDS.includes(field)) {
+            return `weights only accepts ${[...WEIGHT_FIELDS, "k"].join(", ")}`;
+        } else if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+            return `weights.${field} must be a number from 0 to 1`;
+        }
+    }
+    return null;
+};
+
+const invalidExpansion = (expansion) =>
+    expansion !== undefined && !EXPANSION_MODES.includes(expansion)
+        ? `expansion must be one of: ${EXPANSION_MODES.join(", ")}`
+        : null;
+
+// The retrieval options askAI and debugAskAI accept, or an error message
+const readOptions = ({ topK = 5, weights, rerank, expansion }) => {
+    const error = invalidTopK(topK) || invalidWeights(weights) || invalidExpansion(expansion);
+    return error ? { error } : { options: { topK, weights, rerank, expansion } };
+};
+
+// Signed-in users get their AskAI turns persisted; anonymous requests stay stateless
+const openConversation = async (req, query) => {
+    if (!req.user) return { session: null, history: [] };
+
+    const session = await conversationStore.getOrCreateSession(req.user._id, req.body.sessionId, query);
+    const history = await conversationStore.getHistory(session._id);
+    return { session, history };
+};
+
+const saveTurn = async (req, session, turn) => {
+    if (!session) return;
+    try {
+        await conversationStore.saveTurn(session, req.user._id, turn);
+    } catch (error) {
+        console.error("⚠️ Failed to persist AskAI turn:", error.message);
+    }
+};
+
+// Splits a semantic-cache hit into the stored answer and the retrieval fields shown with it
+const fromCache = (prepared) => {
+    const { response, ...cache } = prepared.cacheHit;
+    const { answer, citations = [], invalidCitations = [], confidence = null, ...described } = response;
+    return {
+        answer,
+        citations,
+        invalidCitations,
+        confidence,
+        described: { ...described, standaloneQuery: prepared.query },
+        cache: { hit: true, ...cache },
+        // What saveTurn needs to know about how the answer was produced
+        turn: { query: prepared.query, type: response.type, tables: response.tables }
+    };
+};
+
+// One question, end to end, for both modes: conversation, retrieval (or a cached answer),
+// abstention or generation, persistence and caching. The SSE mode passes `onRetrieval`, called
+// once context is ready, and `onToken`, which streams the generation. Resolves to
+// { message, response } where `response` is the JSON mode's payload.
+const answerQuestion = async (req, query, { useCache, ...options }, { onRetrieval = () => {}, onToken = null } = {}) => {
+    const startedAt = Date.now();
+    const { session, history } = await openConversation(req, query);
+    const sessionId = session?._id ?? null;
+
+    const prepared = await ragPipeline.prepare(query, { ...options, history, useCache });
+    const totalTimings = (extra = {}) => ({ ...prepared.timings, ...extra, totalMs: Date.now() - startedAt });
+
+    if (prepared.cacheHit) {
+        const { answer, citations, invalidCitations, confidence, described, cache, turn } = fromCache(prepared);
+        await saveTurn(req, session, { question: query, answer, prepared: turn, citations, confidence });
+        onRetrieval({ sessionId, ...described, cache, timings: prepared.timings });
+        onToken?.(answer);
+        return {
+            message: "Answer served from cache",
+            response: { sessionId, answer, ...described, citations, invalidCitations, confidence, cache, timings: totalTimings() }
+        };
+    }
+
+    const described = ragPipeline.describe(prepared);
+    const cache = { hit: false };
+    onRetrieval({ sessionId, ...described, cache, timings: prepared.timings });
+
+    // Nothing (relevant enough) was retrieved: answer without calling the LLM
+    const abstention = ragPipeline.checkAbstention(prepared);
+    if (abstention) {
+        const confidence = ragPipeline.assess(prepared, abstention.answer, abstention);
+        await saveTurn(req, session, { question: query, answer: abstention.answer, prepared, confidence });
+        onToken?.(abstention.answer);
+        return {
+            message: prepared.context ? "Retrieved data was not relevant enough to answer" : "No context found",
+            response: { sessionId, answer: abstention.answer, ...described, citations: [], invalidCitations: [], confidence, cache, timings: totalTimings() }
+        };
+    }
+
+    // Generate the answer with the RAG provider chain from the standalone question, then keep
+    // only citations that point at retrieved records
+    const generationStartedAt = Date.now();
+    const llmOptions = { schemaNotes: prepared.schema?.notes };
+    let firstTokenMs = null;
+    const rawAnswer = onToken
+        ? await llmService.ragGenerateStream(prepared.query, prepared.context, (token) => {
+            if (firstTokenMs === null) firstTokenMs = Date.now() - startedAt;
+            onToken(token);
+        }, llmOptions)
+        : await llmService.ragGenerate(prepared.query, prepared.context, llmOptions);
+
+    const { answer, citations, invalidCitations } = ragPipeline.finalize(prepared, rawAnswer);
+    const confidence = ragPipeline.assess(prepared, answer);
+    await saveTurn(req, session, { question: query, answer, prepared, citations, confidence });
+    ragPipeline.remember(prepared, options, { answer, ...described, citations, invalidCitations, confidence });
+
+    return {
+        message: "Answer generated successfully",
+        response: {
+            sessionId,
+            answer,
+            ...described,
+            citations,
+            invalidCitations,
+            confidence,
+            cache,
+            timings: totalTimings({ firstTokenMs, generationMs: Date.now() - generationStartedAt })
+        }
+    };
+};
+
+// SSE mode: `retrieval` once context is ready, `token` per generated delta, then `complete`
+// with the validated citations and per-stage timings
+const streamAnswer = async (req, res, query, options) => {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no"); // For nginx
+    res.flushHeaders?.();
+
+    try {
+        const { response } = await answerQuestion(req, query, options, {
+            onRetrieval: (retrieval) => sendStreamChunk(res, "retrieval", retrieval),
+            onToken: (token) => sendStreamChunk(res, "token", { token })
+        });
+        const { sessionId, answer, citations, invalidCitations, confidence, cache, timings } = response;
+        sendStreamChunk(res, "complete", { sessionId, answer, citations, invalidCitations, confidence, cache, timings });
+        res.end();
+    } catch (error) {
+        console.error("Ask AI Stream Error:", error);
+        // Typed like askAI's status codes: a model mismatch needs a re-index, not a retry
+        if (error.code === INDEX_MODEL_MISMATCH) {
+            sendStreamChunk(res, "error", { code: INDEX_MODEL_MISMATCH, error: error.message });
+        } else {
+            sendStreamChunk(res, "error", {
+                code: "GENERATION_FAILED",
+                error: "Failed to generate answer",
+                details: error.message
+            });
+        }
+        res.end();
+    }
+};
 
 export const askAI = asyncHandler(async (req, res) => {
-    const { query } = req.body;
+    const { query, cache } = req.body;
 
     if (!query) {
         return sendResponse(res, false, null, "Query is required", statusType.BAD_REQUEST);
     }
+    const { options, error: optionError } = readOptions(req.body);
+    if (optionError) {
+        return sendResponse(res, false, null, optionError, statusType.BAD_REQUEST);
+    }
+    options.useCache = cache !== false; // `cache: false` forces a fresh answer
+
+    if (wantsStream(req)) {
+        return streamAnswer(req, res, query, options);
+    }
 
     try {
-        console.log(`🔍 Processing RAG query: "${query}"`);
+        const { message, response } = await answerQuestion(req, query, options);
+        return sendResponse(res, true, response, message, statusType.OK);
+    } catch (error) {
+        console.error("Ask AI Error:", error);
+        if (error.code === INDEX_MODEL_MISMATCH) {
+            return sendResponse(res, false, null, error.message, statusType.SERVICE_UNAVAILABLE);
+        }
+        return sendResponse(res, false, null, "Failed to generate answer", statusType.INTERNAL_SERVER_ERROR);
+    }
+});
 
-        // 1. Generate Embedding
-        const embedding = await embeddingService.getEmbedding(query);
+// Restores an AskAI conversation for the signed-in user
+export const getAskHistory = asyncHandler(async (req, res) => {
+    const conversation = await conversationStore.getMessages(req.user._id, req.params.sessionId);
+    if (!conversation) {
+        return sendResponse(res, false, null, "Session not found or access denied", statusType.NOT_FOUND);
+    }
 
-        // 2. Query Pinecone
-        const queryResponse = await index.namespace(NAMESPACE).query({
-            vector: embedding,
-            topK: 5,
-            includeMetadata: true
-        });
+    return sendResponse(res, true, {
+        session: conversation.session,
+        messages: conversation.messages
+    }, "Conversation retrieved successfully", statusType.OK);
+});
 
-        const matches = queryResponse.matches || [];
-        console.log(`✅ Found ${matches.length} matches in Pinecone`);
+// Admin: runs a question through the pipeline without the answer cache or persistence and
+// returns what each stage did: the rewritten query, filters, every candidate with its scores,
+// the exact prompt sent to the LLM, token counts and per-stage latency. `generate: false`
+// stops before the LLM call.
+export const debugAskAI = asyncHandler(async (req, res) => {
+    const { query, sessionId, generate = true } = req.body;
+    const startedAt = Date.now();
 
-        // 3. Construct Context
-        const context = matches.map(match => {
-            const data = match.metadata;
-            // Format context nicely
-            return `Order ID: ${data.order_id}, Product ID: ${data.product_id}, Price: $${data.price_usd}, Created: ${data.created_at}`;
-        }).join("\n");
+    if (!query) {
+        return sendResponse(res, false, null, "Query is required", statusType.BAD_REQUEST);
+    }
+    const { options, error: optionError } = readOptions(req.body);
+    if (optionError) {
+        return sendResponse(res, false, null, optionError, statusType.BAD_REQUEST);
+    }
 
-        if (!context) {
-            return sendResponse(res, true, { answer: "I couldn't find any relevant data to answer your question." }, "No context found", statusType.OK);
+    try {
+        // A session id replays that conversation's history, to debug follow-up rewriting
+        let history = [];
+        if (sessionId) {
+            const conversation = await conversationStore.getMessages(req.user._id, sessionId);
+            if (!conversation) {
+                return sendResponse(res, false, null, "Session not found or access denied", statusType.NOT_FOUND);
+            }
+            history = await conversationStore.getHistory(conversation.session._id);
         }
 
-        // 4. Generate Answer with Groq
-        const answer = await groqService.ragGenerate(query, context);
+        const prepared = await ragPipeline.prepare(query, { ...options, history, useCache: false });
+        const abstention = ragPipeline.checkAbstention(prepared);
+        const prompt = prepared.context ? llmService.buildRagPrompt(prepared.query, prepared.context, { schemaNotes: prepared.schema?.notes }) : null;
+
+        // Unlike askAI, the prompt is still run on an abstention so its effect can be judged
+        let generation = null;
+        let usage = null;
+        let generationMs = null;
+        if (prompt && generate) {
+            const generationStartedAt = Date.now();
+            const completion = await llmService.ragComplete(prepared.query, prepared.context, { schemaNotes: prepared.schema?.notes });
+            generationMs = Date.now() - generationStartedAt;
+            usage = completion.usage;
+            const { answer, citations, invalidCitations } = ragPipeline.finalize(prepared, completion.text);
+            generation = { provider: completion.provider, model: completion.model, rawAnswer: completion.text, answer, citations, invalidCitations, confidence: ragPipeline.assess(prepared, answer) };
+        }
 
-        return sendResponse(res, true, { answer, context: matches }, "Answer generated successfully", statusType.OK);
+        // The provider's counts when a completion ran, otherwise estimates
+        const tokens = {
+            context: llmService.estimateTokens(prepared.context || ""),
+            prompt: usage?.promptTokens ?? (prompt ? llmService.estimateTokens(prompt) : 0),
+            completion: usage?.completionTokens ?? null,
+            estimated: !usage
+        };
 
+        return sendResponse(res, true, {
+            ...ragPipeline.explain(prepared),
+            topK: options.topK,
+            abstention,
+            prompt,
+            tokens,
+            generation,
+            timings: { ...prepared.timings, generationMs, totalMs: Date.now() - startedAt }
+        }, "Debug trace generated successfully", statusType.OK);
     } catch (error) {
-        console.error("Ask AI Error:", error);
-        return sendResponse(res, false, null, "Failed to generate answer", statusType.INTERNAL_SERVER_ERROR);
+        console.error("Ask AI Debug Error:", error);
+        const status = error.code === INDEX_MODEL_MISMATCH ? statusType.SERVICE_UNAVAILABLE : statusType.INTERNAL_SERVER_ERROR;
+        return sendResponse(res, false, null, error.message, status);
     }
 });
+
+// Admin: semantic answer cache hit/miss stats
+export const getAnswerCacheStats = asyncHandler(async (req, res) => {
+    return sendResponse(res, true, answerCache.getStats(), "Answer cache stats retrieved successfully", statusType.OK);
+});
+
+// Admin: drops every cached answer (e.g. after fixing a prompt)
+export const purgeAnswerCache = asyncHandler(async (req, res) => {
+    const purged = answerCache.purge();
+    console.log(`🧹 Answer cache purged by ${req.user.email} (${purged} entries)`);
+    return sendResponse(res, true, { purged }, "Answer cache purged successfully", statusType.OK);
+});
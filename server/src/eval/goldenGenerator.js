@@ -0,0 +1,224 @@
+import { loadTable } from "../services/rag/datasets.js";
+
+// Question templates over the Maven Fuzzy Factory tables. Every answer is computed here
+// straight from the rows (not through queryEngine), so a bug in the engine shows up as a
+// failed question rather than being baked into the ground truth.
+
+const MONTH_NAMES = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"
+];
+
+const dayOf = (row) => String(row.created_at).slice(0, 10);
+const monthOf = (row) => String(row.created_at).slice(0, 7);
+const monthLabel = (month) => `${MONTH_NAMES[Number(month.slice(5, 7)) - 1]} ${month.slice(0, 4)}`;
+const money = (value) => Math.round(Number(value) * 100) / 100;
+const sumOf = (rows, field) => money(rows.reduce((sum, row) => sum + (Number(row[field]) || 0), 0));
+
+// mulberry32: a small seeded PRNG, so the same seed always yields the same golden set
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Per-template seed, so adding, removing or filtering templates leaves the others unchanged
+const seedFor = (seed, templateId) => {
+    let hash = seed >>> 0;
+    for (const char of templateId) hash = Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0;
+    return hash;
+};
+
+// Up to `count` distinct items, in sampled order
+const sample = (items, count, random) => {
+    const pool = [...items];
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+        const index = Math.floor(random() * pool.length);
+        picked.push(pool[index]);
+        pool[index] = pool[pool.length - 1];
+        pool.pop();
+    }
+    return picked;
+};
+
+// Refunds keyed by order, keeping only orders refunded exactly once so "the refund for
+// order N" is unambiguous
+const singleRefunds = () => {
+    const byOrder = new Map();
+    for (const refund of loadTable("order_item_refunds")) {
+        const key = String(refund.order_id);
+        byOrder.set(key, byOrder.has(key) ? null : refund);
+    }
+    return [...byOrder.values()].filter(Boolean);
+};
+
+// Each template: { id, table, type, difficulty, generate(random, count) → questions }.
+// `type` is what queryPlanner.classify should return for the question.
+export const TEMPLATES = [
+    {
+        id: "order-price",
+        table: "orders",
+        type: "lookup",
+        difficulty: "easy",
+        generate: (random, count) => sample(loadTable("orders"), count, random).map((order) => ({
+            key: order.order_id,
+            question: `What was the price of order ${order.order_id}?`,
+            expectedIds: [`orders:${order.order_id}`],
+            expectedAnswer: money(order.price_usd)
+        }))
+    },
+    {
+        id: "order-session",
+        table: "orders",
+        type: "lookup",
+        difficulty: "medium",
+        generate: (random, count) => sample(loadTable("orders"), count, random).map((order) => ({
+            key: order.order_id,
+            question: `Which website session did order ${order.order_id} come from?`,
+            expectedIds: [`orders:${order.order_id}`],
+            expectedAnswer: Number(order.website_session_id)
+        }))
+    },
+    {
+        id: "refund-amount",
+        table: "order_item_refunds",
+        type: "lookup",
+        difficulty: "easy",
+        generate: (random, count) => sample(singleRefunds(), count, random).map((refund) => ({
+            key: refund.order_id,
+            question: `What was the refund amount for order ${refund.order_id}?`,
+            expectedIds: [`order_item_refunds:${refund.order_item_refund_id}`],
+            expectedAnswer: money(refund.refund_amount_usd)
+        }))
+    },
+    {
+        id: "refund-date",
+        table: "order_item_refunds",
+        type: "lookup",
+        difficulty: "medium",
+        generate: (random, count) => sample(singleRefunds(), count, random).map((refund) => ({
+            key: refund.order_id,
+            question: `On what date was order ${refund.order_id} refunded?`,
+            expectedIds: [`order_item_refunds:${refund.order_item_refund_id}`],
+            expectedAnswer: dayOf(refund)
+        }))
+    },
+    {
+        id: "session-source",
+        table: "website_sessions",
+        type: "lookup",
+        difficulty: "easy",
+        generate: (random, count) => {
+            const sessions = loadTable("website_sessions").filter((session) => session.utm_source);
+            return sample(sessions, count, random).map((session) => ({
+                key: session.website_session_id,
+                question: `Which traffic source brought session ${session.website_session_id}?`,
+                expectedIds: [`website_sessions:${session.website_session_id}`],
+                expectedAnswer: session.utm_source
+            }));
+        }
+    },
+    {
+        id: "orders-per-day",
+        table: "orders",
+        type: "aggregate",
+        difficulty: "medium",
+        generate: (random, count) => {
+            const orders = loadTable("orders");
+            const days = sample([...new Set(orders.map(dayOf))], count, random);
+            return days.map((day) => ({
+                key: day,
+                question: `How many orders were placed on ${day}?`,
+                expectedAnswer: orders.filter((order) => dayOf(order) === day).length
+            }));
+        }
+    },
+    {
+        id: "revenue-per-month",
+        table: "orders",
+        type: "aggregate",
+        difficulty: "medium",
+        generate: (random, count) => {
+            const orders = loadTable("orders");
+            const months = sample([...new Set(orders.map(monthOf))], count, random);
+            return months.map((month) => ({
+                key: month,
+                question: `What was the total revenue in ${monthLabel(month)}?`,
+                expectedAnswer: sumOf(orders.filter((order) => monthOf(order) === month), "price_usd")
+            }));
+        }
+    },
+    {
+        id: "refunds-per-month",
+        table: "order_item_refunds",
+        type: "aggregate",
+        difficulty: "hard",
+        generate: (random, count) => {
+            const refunds = loadTable("order_item_refunds");
+            const months = sample([...new Set(refunds.map(monthOf))], count, random);
+            return months.map((month) => ({
+                key: month,
+                question: `What was the total refund amount in ${monthLabel(month)}?`,
+                expectedAnswer: sumOf(refunds.filter((refund) => monthOf(refund) === month), "refund_amount_usd")
+            }));
+        }
+    },
+    {
+        id: "sessions-device-source-day",
+        table: "website_sessions",
+        type: "aggregate",
+        difficulty: "hard",
+        generate: (random, count) => {
+            const sessions = loadTable("website_sessions").filter((session) => session.utm_source && session.device_type);
+            // Sample from existing sessions so every combination has at least one match
+            const combos = new Map();
+            for (const session of sample(sessions, count * 4, random)) {
+                const key = `${session.device_type}-${session.utm_source}-${dayOf(session)}`;
+                if (!combos.has(key)) combos.set(key, { device: session.device_type, source: session.utm_source, day: dayOf(session) });
+            }
+            return [...combos.entries()].slice(0, count).map(([key, { device, source, day }]) => ({
+                key,
+                question: `How many ${device} ${source} sessions were there on ${day}?`,
+                expectedAnswer: sessions.filter(
+                    (session) => session.device_type === device && session.utm_source === source && dayOf(session) === day
+                ).length
+            }));
+        }
+    }
+];
+
+// Builds the `questions` array of a golden set. Templates whose table cannot be loaded are
+// skipped with a warning, so a partial data directory still yields a (smaller) set.
+export const generateQuestions = ({ seed, perTemplate, tables = null }) => {
+    const questions = [];
+
+    for (const template of TEMPLATES) {
+        if (tables && !tables.includes(template.table)) continue;
+        let generated;
+        try {
+            generated = template.generate(createRandom(seedFor(seed, template.id)), perTemplate);
+        } catch (error) {
+            console.warn(`⚠️ Skipping ${template.id}: ${error.message}`);
+            continue;
+        }
+
+        for (const { key, question, expectedIds, expectedAnswer } of generated) {
+            questions.push({
+                id: `${template.id}-${key}`,
+                question,
+                type: template.type,
+                tables: [template.table],
+                difficulty: template.difficulty,
+                ...(expectedIds ? { expectedIds } : {}),
+                expectedAnswer
+            });
+        }
+    }
+    return questions;
+};
@@ -0,0 +1,85 @@
+// Scoring functions for the RAG evaluation harness. Record ids are "table:id" strings.
+
+// Two numbers match when they agree to the cent (answers are usually rounded money values)
+const NUMBER_TOLERANCE = 0.005;
+
+const MARKER_PATTERN = /\[[^\]]*\]/g;
+
+// Numbers in free text: "$1,234.50" → 1234.5; citation markers are ignored
+export const extractNumbers = (text) =>
+    (String(text || "").replace(MARKER_PATTERN, " ").match(/-?\d[\d,]*(\.\d+)?/g) || [])
+        .map((token) => Number(token.replace(/,/g, "")))
+        .filter((value) => !isNaN(value));
+
+const sameNumber = (a, b) => Math.abs(a - b) <= NUMBER_TOLERANCE;
+
+const normalizeText = (text) => String(text).toLowerCase().replace(/\s+/g, " ").trim();
+
+// Share of expected records found in the top k retrieved ids (null when nothing is expected)
+export const recallAtK = (retrievedIds, expectedIds, k) => {
+    if (!expectedIds?.length) return null;
+    const topK = new Set(retrievedIds.slice(0, k));
+    return expectedIds.filter((id) => topK.has(id)).length / expectedIds.length;
+};
+
+// 1 / rank of the first expected record, 0 when none was retrieved
+export const reciprocalRank = (retrievedIds, expectedIds) => {
+    if (!expectedIds?.length) return null;
+    const expected = new Set(expectedIds);
+    const rank = retrievedIds.findIndex((id) => expected.has(id));
+    return rank === -1 ? 0 : 1 / (rank + 1);
+};
+
+// Numeric answers match any number in the answer; text answers must appear in it
+export const answerExactMatch = (answer, expectedAnswer) => {
+    if (expectedAnswer === undefined || expectedAnswer === null) return null;
+    if (typeof expectedAnswer === "number") {
+        return extractNumbers(answer).some((value) => sameNumber(value, expectedAnswer));
+    }
+    return normalizeText(answer).includes(normalizeText(expectedAnswer));
+};
+
+// Share of the answer's checkable claims that are grounded: every number must appear in the
+// context and every citation marker must point at a record (or computation) that was there.
+// An answer with no numbers and no citations counts as fully faithful.
+export const faithfulness = (answer, context, { citations = [], invalidCitations = [] } = {}) => {
+    const contextNumbers = extractNumbers(context);
+    const numbers = extractNumbers(answer);
+    const groundedNumbers = numbers.filter((value) => contextNumbers.some((c) => sameNumber(c, value))).length;
+
+    const claims = numbers.length + citations.length + invalidCitations.length;
+    if (claims === 0) return 1;
+    return (groundedNumbers + citations.length) / claims;
+};
+
+const mean = (values) => {
+    const present = values.filter((value) => value !== null && value !== undefined);
+    if (present.length === 0) return null;
+    return present.reduce((sum, value) => sum + Number(value), 0) / present.length;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+// Averages per-question scores; questions without an expectation for a metric are skipped
+export const summarize = (results) => ({
+    questions: results.length,
+    errors: results.filter((result) => result.error).length,
+    recallAtK: round(mean(results.map((result) => result.scores.recallAtK))),
+    mrr: round(mean(results.map((result) => result.scores.reciprocalRank))),
+    exactMatch: round(mean(results.map((result) => result.scores.exactMatch))),
+    faithfulness: round(mean(results.map((result) => result.scores.faithfulness)))
+});
+
+// Summaries per value of a question field (e.g. type, difficulty, table)
+export const summarizeBy = (results, keyOf) => {
+    const groups = new Map();
+    for (const result of results) {
+        for (const key of [].concat(keyOf(result) ?? [])) {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(result);
+        }
+    }
+    return Object.fromEntries(
+        [...groups.keys()].sort().map((key) => [key, summarize(groups.get(key))])
+    );
+};
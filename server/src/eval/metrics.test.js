@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    extractNumbers,
+    recallAtK,
+    reciprocalRank,
+    answerExactMatch,
+    faithfulness,
+    summarize,
+    summarizeBy
+} from "./metrics.js";
+
+// Run from server/: node --test src/
+
+test("extractNumbers reads money values and ignores citation markers", () => {
+    assert.deepEqual(extractNumbers("Order [orders:12] cost $1,234.50, refund -10"), [1234.5, -10]);
+    assert.deepEqual(extractNumbers(null), []);
+});
+
+test("recallAtK counts the expected ids found in the top k", () => {
+    assert.equal(recallAtK(["orders:1", "orders:2", "orders:3"], ["orders:3", "orders:9"], 3), 0.5);
+    assert.equal(recallAtK(["orders:1", "orders:2", "orders:3"], ["orders:3"], 2), 0);
+    assert.equal(recallAtK(["orders:1"], [], 5), null);
+});
+
+test("reciprocalRank is 1 / rank of the first expected id", () => {
+    assert.equal(reciprocalRank(["orders:5", "orders:1"], ["orders:1"]), 0.5);
+    assert.equal(reciprocalRank(["orders:5"], ["orders:1"]), 0);
+    assert.equal(reciprocalRank(["orders:5"], undefined), null);
+});
+
+test("answerExactMatch matches numbers to the cent and text by inclusion", () => {
+    assert.equal(answerExactMatch("The price was $49.99 [orders:1]", 49.99), true);
+    assert.equal(answerExactMatch("The price was $49.98", 49.99), false);
+    assert.equal(answerExactMatch("It is  The Original MR. FUZZY.", "the original mr. fuzzy"), true);
+    assert.equal(answerExactMatch("anything", null), null);
+});
+
+test("faithfulness is the share of grounded numbers and valid citations", () => {
+    const context = "[orders:1] price_usd: 49.99, cogs_usd: 19.49";
+    assert.equal(faithfulness("It cost 49.99 [orders:1]", context, { citations: [{ marker: "orders:1" }] }), 1);
+    assert.equal(faithfulness("It cost 59.99", context), 0);
+    assert.equal(
+        faithfulness("It cost 49.99 [orders:7]", context, { invalidCitations: ["orders:7"] }),
+        0.5
+    );
+    assert.equal(faithfulness("No numbers here", context), 1);
+});
+
+test("summarize averages present scores and summarizeBy groups them", () => {
+    const results = [
+        { type: "lookup", scores: { recallAtK: 1, reciprocalRank: 1, exactMatch: true, faithfulness: 1 } },
+        { type: "lookup", scores: { recallAtK: 0, reciprocalRank: 0, exactMatch: false, faithfulness: 0.5 } },
+        { type: "aggregate", error: "boom", scores: { recallAtK: null, reciprocalRank: null, exactMatch: null, faithfulness: null } }
+    ];
+    assert.deepEqual(summarize(results), {
+        questions: 3,
+        errors: 1,
+        recallAtK: 0.5,
+        mrr: 0.5,
+        exactMatch: 0.5,
+        faithfulness: 0.75
+    });
+    const byType = summarizeBy(results, (result) => result.type);
+    assert.deepEqual(Object.keys(byType), ["aggregate", "lookup"]);
+    assert.equal(byType.aggregate.recallAtK, null);
+    assert.equal(byType.lookup.questions, 2);
+});
@@ -0,0 +1,188 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+// Runs askAI and sendMessage end to end against the scripted mock LLM, over a few fixture
+// rows indexed into a temporary local vector store and BM25 index. Retrieval is keyword-only
+// and reranking and the answer cache are off, so no embedding or reranking model is loaded.
+// Run from server/: node --test src/
+
+const ORDERS = [
+    { order_id: 1, created_at: "2012-03-19 10:42:46", website_session_id: 20, user_id: 20, primary_product_id: 1, items_purchased: 1, price_usd: 49.99, cogs_usd: 19.49 },
+    { order_id: 2, created_at: "2012-03-19 19:27:37", website_session_id: 104, user_id: 104, primary_product_id: 1, items_purchased: 1, price_usd: 49.99, cogs_usd: 19.49 },
+    { order_id: 3, created_at: "2012-04-01 10:00:00", website_session_id: 120, user_id: 120, primary_product_id: 2, items_purchased: 1, price_usd: 29.99, cogs_usd: 9.49 }
+];
+const PRODUCTS = [
+    { product_id: 1, created_at: "2012-03-19 08:00:00", product_name: "The Original Mr. Fuzzy" },
+    { product_id: 2, created_at: "2013-01-06 13:00:00", product_name: "The Forever Love Bear" }
+];
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mock-llm-test-"));
+Object.assign(process.env, {
+    LLM_MOCK: "true",
+    DATA_DIR: path.join(tmpDir, "data"),
+    VECTOR_STORE: "local",
+    VECTOR_STORE_PATH: path.join(tmpDir, "vectorstore"),
+    KEYWORD_INDEX_PATH: path.join(tmpDir, "keywordindex"),
+    INDEX_STATE_PATH: path.join(tmpDir, "indexstate"),
+    HYBRID_VECTOR_WEIGHT: "0",
+    RERANK_ENABLED: "false",
+    ANSWER_CACHE_ENABLED: "false",
+    RETRIEVAL_EXPANSION: "none"
+});
+
+let askAI;
+let sendMessage;
+let models;
+
+before(async () => {
+    fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+    fs.writeFileSync(path.join(process.env.DATA_DIR, "orders.json"), JSON.stringify(ORDERS));
+    fs.writeFileSync(path.join(process.env.DATA_DIR, "products.json"), JSON.stringify(PRODUCTS));
+
+    const { TABLES, formatRecord, recordId, toMetadata } = await import("../services/rag/datasets.js");
+    const { KeywordIndex } = await import("../services/rag/keywordIndex.js");
+    const { filterFields } = await import("../services/rag/filterExtractor.js");
+    const { default: LocalVectorStore } = await import("../services/vectorStore/localStore.js");
+
+    // Same layout as indexOrders.js; the vectors are placeholders since only BM25 is searched
+    const store = new LocalVectorStore({ dir: process.env.VECTOR_STORE_PATH });
+    for (const [table, rows] of [["orders", ORDERS], ["products", PRODUCTS]]) {
+        const { namespace } = TABLES[table];
+        const keywordIndex = new KeywordIndex(namespace);
+        const records = rows.map((row, i) => {
+            const id = recordId(table, row, i);
+            const metadata = toMetadata(table, row);
+            const filterMetadata = Object.fromEntries(filterFields(table).filter((field) => field in metadata).map((field) => [field, metadata[field]]));
+            keywordIndex.add(id, formatRecord(table, metadata, id), filterMetadata);
+            return { id, values: [1, 0], metadata };
+        });
+        keywordIndex.save();
+        await store.upsert(namespace, records);
+    }
+    await store.flush();
+
+    // sendMessage persists through these models; they are stubbed so no MongoDB is needed
+    models = {
+        Session: (await import("../models/session.js")).default,
+        Message: (await import("../models/message.js")).default,
+        IterationLog: (await import("../models/iterationLog.js")).default
+    };
+    ({ askAI } = await import("../controllers/ragController.js"));
+    ({ sendMessage } = await import("../controllers/chatController.js"));
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Calls a handler and resolves with the JSON body or the raw SSE text once it responds
+const call = (handler, req) => new Promise((resolve) => {
+    const chunks = [];
+    const res = {
+        statusCode: 200,
+        headersSent: false,
+        writableEnded: false,
+        setHeader() {},
+        flushHeaders() {
+            this.headersSent = true;
+        },
+        write(chunk) {
+            this.headersSent = true;
+            chunks.push(String(chunk));
+            return true;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+            return this;
+        },
+        end() {
+            this.writableEnded = true;
+            resolve({ status: this.statusCode, text: chunks.join("") });
+        }
+    };
+    handler({ headers: {}, params: {}, user: null, ...req }, res, (error) => resolve({ error }));
+});
+
+// [{ event, data }] from an SSE body
+const parseEvents = (text) =>
+    text.split("\n\n").filter(Boolean).map((frame) => {
+        const [eventLine, dataLine] = frame.split("\n");
+        return { event: eventLine.replace("event: ", ""), data: JSON.parse(dataLine.replace("data: ", "")) };
+    });
+
+test("askAI answers a lookup from the retrieved record and cites it", async () => {
+    const { status, body } = await call(askAI, { body: { query: "What was the price of order 1?" } });
+    assert.equal(status, 200);
+    assert.match(body.data.answer, /49\.99/);
+    assert.deepEqual(body.data.citations.map((citation) => citation.marker), ["orders:1"]);
+    assert.deepEqual(body.data.invalidCitations, []);
+});
+
+test("askAI answers an aggregate from the query plan", async () => {
+    const { status, body } = await call(askAI, { body: { query: "How many orders were placed?" } });
+    assert.equal(status, 200);
+    assert.equal(body.data.type, "aggregate");
+    assert.match(body.data.answer, /= 3 \[computed\]/);
+});
+
+test("askAI streams retrieval, tokens and a complete event", async () => {
+    const { text } = await call(askAI, { body: { query: "What was the price of order 1?", stream: true } });
+    const events = parseEvents(text);
+    assert.equal(events[0].event, "retrieval");
+    assert.equal(events.at(-1).event, "complete");
+    assert.ok(events.some(({ event }) => event === "token"));
+
+    const streamed = events.filter(({ event }) => event === "token").map(({ data }) => data.token).join("");
+    assert.equal(streamed, events.at(-1).data.answer);
+});
+
+test("askAI rejects invalid retrieval options", async () => {
+    for (const body of [{ topK: 0 }, { weights: { vector: 2 } }, { expansion: "everything" }]) {
+        const { status } = await call(askAI, { body: { query: "What was the price of order 1?", ...body } });
+        assert.equal(status, 400);
+    }
+});
+
+test("sendMessage runs the planner loop until the researcher is satisfied", async () => {
+    const { Session, Message, IterationLog } = models;
+    const logs = [];
+    let messages = 0;
+    Object.assign(Session, {
+        findOne: async () => ({ _id: "session-1" }),
+        findByIdAndUpdate: async () => null
+    });
+    Object.assign(Message, {
+        create: async (doc) => ({ _id: `message-${++messages}`, ...doc }),
+        countDocuments: async () => 1
+    });
+    Object.assign(IterationLog, {
+        create: async (doc) => {
+            logs.push(doc);
+            return doc;
+        },
+        aggregate: async () => [{ total: logs.reduce((sum, log) => sum + log.tokensConsumed.total, 0) }],
+        countDocuments: async () => logs.length
+    });
+
+    const { text } = await call(sendMessage, {
+        body: { sessionId: "session-1", content: "Why did revenue drop last month?" },
+        user: { _id: "user-1" }
+    });
+    const events = parseEvents(text);
+    const complete = events.find(({ event }) => event === "complete");
+
+    // The mock researcher asks for next steps once, then accepts the revised draft
+    assert.equal(events.filter(({ event }) => event === "iteration").length, 2);
+    assert.ok(events.some(({ event }) => event === "draft"));
+    assert.ok(complete, "no complete event");
+    assert.match(complete.data.response, /Next steps:/);
+    assert.equal(logs.length, 2);
+    assert.equal(logs[1].researcherEvaluation.isSatisfied, true);
+});
@@ -14,6 +14,7 @@ dotenv.config({
 })
 
 import { app } from './app.js'
+import indexGuard from "./services/rag/indexGuard.js";
 
 // Check if MONGODB_URL is set
 if (!process.env.MONGODB_URL) {
@@ -28,6 +29,8 @@ connectDB()
     .then(() => {
         app.listen(process.env.SERVER_PORT || 8000, () => {
             console.log(`⚙️ Server is running at port : ${process.env.SERVER_PORT}`);
+            // askAI refuses vector queries against an index built with a different embedding model
+            indexGuard.verify();
         })
     })
     .catch((err) => {
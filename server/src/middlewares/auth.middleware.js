@@ -53,3 +53,39 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
         );
     }
 });
+
+/**
+ * Middleware that attaches the user when a valid token is present
+ * but lets anonymous requests through (req.user stays undefined)
+ */
+export const optionalJWT = asyncHandler(async (req, res, next) => {
+    const token = req.cookies?.token ||
+                 req.header("Authorization")?.replace("Bearer ", "");
+
+    if (!token) return next();
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const user = await User.findById(decoded.user_id).select("-password");
+        if (user) req.user = user;
+    } catch (error) {
+        // Invalid or expired tokens are treated as anonymous
+    }
+    next();
+});
+
+/**
+ * Middleware that only lets admins through. Use after verifyJWT.
+ */
+export const requireAdmin = (req, res, next) => {
+    if (!req.user?.isAdmin) {
+        return sendResponse(
+            res,
+            false,
+            null,
+            "Admin access required",
+            statusType.FORBIDDEN
+        );
+    }
+    next();
+};
@@ -31,7 +31,19 @@ const iterationLogSchema = new mongoose.Schema(
         researcherEvaluation: {
             issues: [String],
             isSatisfied: Boolean,
-            summary: String
+            summary: String,
+            // Rubric from 1 to 10 per dimension (see services/llm/researcherSchema.js); all
+            // null when the researcher never produced a valid verdict
+            scores: {
+                correctness: Number,
+                completeness: Number,
+                clarity: Number,
+                safety: Number,
+                relevance: Number,
+                grounding: Number
+            },
+            score: Number, // Rubric mean
+            repairAttempts: { type: Number, default: 0 } // Invalid replies sent back for correction
         },
         issuesFromPrevious: {
             type: [String],
@@ -45,6 +57,11 @@ const iterationLogSchema = new mongoose.Schema(
         processingTimeMs: {
             type: Number,
             default: 0
+        },
+        // Time from the start of the iteration to the planner's first streamed token
+        firstTokenMs: {
+            type: Number,
+            default: null
         }
     },
     {
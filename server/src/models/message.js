@@ -26,12 +26,25 @@ const messageSchema = new mongoose.Schema(
         iterationData: {
             totalIterations: { type: Number, default: 0 },
             researcherSatisfied: { type: Boolean, default: false },
-            finalResponse: { type: String, default: "" }
+            finalResponse: { type: String, default: "" },
+            // Planner loop outcome: which draft was returned, its researcher score and why the
+            // loop stopped (satisfied, max_iterations, token_budget, repeated_issues, oscillating_issues)
+            selectedIteration: { type: Number, default: null },
+            score: { type: Number, default: null },
+            stopReason: { type: String, default: "" }
         },
         tokensUsed: {
             type: Number,
             default: 0
         },
+        // AskAI turns: the standalone question actually retrieved for and what backed the answer
+        ragData: {
+            standaloneQuery: { type: String, default: "" },
+            queryType: { type: String, enum: ["lookup", "aggregate", ""], default: "" },
+            tables: { type: [String], default: [] },
+            citations: { type: mongoose.Schema.Types.Mixed, default: [] },
+            confidence: { type: mongoose.Schema.Types.Mixed, default: null }
+        },
         llmModel: {
             type: String,
             default: "llama-3.3-70b-versatile"
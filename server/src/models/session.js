@@ -18,6 +18,12 @@ const sessionSchema = new mongoose.Schema(
             enum: ["active", "archived", "completed"],
             default: "active"
         },
+        // "planner" sessions use the Planner-Researcher loop, "askai" ones the dashboard RAG Q&A
+        kind: {
+            type: String,
+            enum: ["planner", "askai"],
+            default: "planner"
+        },
         metadata: {
             totalIterations: { type: Number, default: 0 },
             finalResponseLength: { type: Number, default: 0 },
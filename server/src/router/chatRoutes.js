@@ -18,12 +18,17 @@ router.get("/", getSessions);
 router.get("/:sessionId/messages", getSessionMessages);
 router.patch("/:sessionId/archive", archiveSession);
 
-import { askAI } from "../controllers/ragController.js";
+import { askAI, debugAskAI, getAskHistory, getAnswerCacheStats, purgeAnswerCache } from "../controllers/ragController.js";
+import { optionalJWT, verifyJWT, requireAdmin } from "../middlewares/auth.middleware.js";
 
 // Message streaming endpoint
 router.post("/messages", sendMessage);
 
-// RAG Q&A endpoint
-router.post("/ask", askAI);
+// RAG Q&A endpoint (conversations are persisted when a valid token is sent)
+router.post("/ask", optionalJWT, askAI);
+router.post("/ask/debug", verifyJWT, requireAdmin, debugAskAI);
+router.get("/ask/cache/stats", verifyJWT, requireAdmin, getAnswerCacheStats);
+router.delete("/ask/cache", verifyJWT, requireAdmin, purgeAnswerCache);
+router.get("/ask/:sessionId", verifyJWT, getAskHistory);
 
 export default router;
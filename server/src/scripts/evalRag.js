@@ -0,0 +1,195 @@
+import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import {
+    recallAtK,
+    reciprocalRank,
+    answerExactMatch,
+    faithfulness,
+    summarize,
+    summarizeBy
+} from "../eval/metrics.js";
+import llmService from "../services/llmService.js";
+import ragPipeline from "../services/rag/ragPipeline.js";
+import embeddingService from "../services/embeddingService.js";
+import { EXPANSION_MODES } from "../services/rag/queryExpander.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// === CONFIGURATION ===
+const EVAL_DIR = path.join(__dirname, "../../eval");
+const DEFAULT_GOLDEN_SET = path.join(EVAL_DIR, "golden/v1.json");
+const DEFAULT_K = 5;
+const METRICS = ["recallAtK", "mrr", "exactMatch", "faithfulness"];
+
+// Usage: node src/scripts/evalRag.js [--golden=path] [--k=5] [--expansion=none|multi-query|hyde|both]
+//                                    [--out=path] [--baseline=path] [--live] [--only=id,id]
+// Runs every golden question through the askAI pipeline (retrieval, planning, generation,
+// citation checks) and writes a JSON report. The LLM is mocked unless --live is given, so a
+// run needs only the local index and is deterministic. Pass --baseline=<earlier report> to
+// print metric deltas, e.g. a --expansion=hyde run against the plain one.
+const parseArgs = (argv) => {
+    const args = { golden: DEFAULT_GOLDEN_SET, k: DEFAULT_K, expansion: "none", out: null, baseline: null, live: false, only: null };
+    for (const arg of argv) {
+        const [flag, value] = arg.split("=");
+        if (flag === "--golden") args.golden = path.resolve(value);
+        else if (flag === "--k") args.k = parseInt(value, 10);
+        else if (flag === "--expansion") args.expansion = value;
+        else if (flag === "--out") args.out = path.resolve(value);
+        else if (flag === "--baseline") args.baseline = path.resolve(value);
+        else if (flag === "--live") args.live = true;
+        else if (flag === "--only") args.only = new Set(value.split(","));
+        else throw new Error(`Unknown argument "${arg}"`);
+    }
+    if (!Number.isInteger(args.k) || args.k < 1) throw new Error("--k must be a positive integer");
+    if (!EXPANSION_MODES.includes(args.expansion)) {
+        throw new Error(`--expansion must be one of: ${EXPANSION_MODES.join(", ")}`);
+    }
+    return args;
+};
+
+// Golden set: { version, description, questions: [{ id, question, type?, tables?, difficulty?,
+// expectedIds?: ["orders:57"], expectedAnswer?: 49.99 | "text" }] }
+const loadGoldenSet = (filePath) => {
+    if (!fs.existsSync(filePath)) throw new Error(`Golden set not found: ${filePath}`);
+    const golden = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+    if (!golden.version) throw new Error(`${filePath}: "version" is required`);
+    if (!Array.isArray(golden.questions) || golden.questions.length === 0) {
+        throw new Error(`${filePath}: "questions" must be a non-empty array`);
+    }
+    const ids = new Set();
+    for (const question of golden.questions) {
+        if (!question.id || !question.question) throw new Error(`${filePath}: every question needs "id" and "question"`);
+        if (ids.has(question.id)) throw new Error(`${filePath}: duplicate question id "${question.id}"`);
+        ids.add(question.id);
+    }
+    return golden;
+};
+
+async function evaluateQuestion(question, { k, expansion }) {
+    const expected = {
+        type: question.type ?? null,
+        ids: question.expectedIds ?? [],
+        answer: question.expectedAnswer ?? null
+    };
+    const base = {
+        id: question.id,
+        question: question.question,
+        difficulty: question.difficulty ?? null,
+        tables: question.tables ?? [],
+        expected
+    };
+
+    try {
+        // Cached answers would hide regressions, so every question is answered fresh
+        const prepared = await ragPipeline.prepare(question.question, { topK: k, expansion, useCache: false });
+        const abstention = ragPipeline.checkAbstention(prepared);
+        const rawAnswer = abstention
+            ? abstention.answer
+            : await llmService.ragGenerate(prepared.query, prepared.context, { schemaNotes: prepared.schema?.notes });
+        const { answer, citations, invalidCitations } = ragPipeline.finalize(prepared, rawAnswer);
+        const retrieved = prepared.matches.map((match) => `${match.table}:${match.id}`);
+
+        return {
+            ...base,
+            actual: {
+                type: prepared.type,
+                retrieved: retrieved.slice(0, k),
+                answer,
+                citations: citations.map((citation) => citation.marker),
+                invalidCitations,
+                confidence: ragPipeline.assess(prepared, answer, abstention)
+            },
+            scores: {
+                typeMatch: expected.type ? expected.type === prepared.type : null,
+                recallAtK: recallAtK(retrieved, expected.ids, k),
+                reciprocalRank: reciprocalRank(retrieved, expected.ids),
+                exactMatch: answerExactMatch(answer, expected.answer),
+                faithfulness: faithfulness(rawAnswer, prepared.context || "", { citations, invalidCitations })
+            }
+        };
+    } catch (error) {
+        console.error(`❌ [${question.id}] ${error.message}`);
+        return {
+            ...base,
+            error: error.message,
+            scores: { typeMatch: null, recallAtK: 0, reciprocalRank: 0, exactMatch: false, faithfulness: null }
+        };
+    }
+}
+
+const printComparison = (summary, baselinePath) => {
+    if (!fs.existsSync(baselinePath)) {
+        console.warn(`⚠️  Baseline not found: ${baselinePath}`);
+        return;
+    }
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, "utf-8")).summary.overall;
+    console.log(`\n📈 Compared with ${path.basename(baselinePath)}:`);
+    console.table(Object.fromEntries(METRICS.map((metric) => {
+        const before = baseline[metric];
+        const after = summary[metric];
+        const delta = before === null || after === null ? null : Math.round((after - before) * 10000) / 10000;
+        return [metric, { before, after, delta }];
+    })));
+};
+
+async function run() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        // Without --live every LLM call goes to the scripted mock provider
+        process.env.LLM_MOCK = args.live ? "false" : "true";
+
+        const golden = loadGoldenSet(args.golden);
+        const questions = golden.questions.filter((question) => !args.only || args.only.has(question.id));
+        const llm = args.live ? "live" : "mock";
+        console.log(`🧪 Evaluating ${questions.length} questions from ${path.basename(args.golden)} (k=${args.k}, expansion ${args.expansion}, ${llm} LLM)`);
+
+        const results = [];
+        for (const question of questions) {
+            const result = await evaluateQuestion(question, { k: args.k, expansion: args.expansion });
+            const { recallAtK: recall, exactMatch } = result.scores;
+            console.log(`${result.error ? "❌" : "✅"} [${question.id}] recall@${args.k}: ${recall ?? "-"}, exact: ${exactMatch ?? "-"}`);
+            results.push(result);
+        }
+
+        const summary = {
+            overall: summarize(results),
+            byType: summarizeBy(results, (result) => result.expected.type),
+            byDifficulty: summarizeBy(results, (result) => result.difficulty),
+            byTable: summarizeBy(results, (result) => result.tables)
+        };
+
+        // Stable key order and no timings, so two reports diff cleanly
+        const report = {
+            goldenSet: { file: path.relative(EVAL_DIR, args.golden), version: golden.version, questions: questions.length },
+            config: {
+                k: args.k,
+                expansion: args.expansion,
+                llm,
+                embeddingModel: embeddingService.getModel().name,
+                vectorStore: process.env.VECTOR_STORE || "pinecone"
+            },
+            summary,
+            results
+        };
+
+        const variant = args.expansion === "none" ? llm : `${llm}-${args.expansion}`;
+        const outPath = args.out || path.join(EVAL_DIR, "reports", `${path.basename(args.golden, ".json")}-${variant}.json`);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, `${JSON.stringify(report, null, 2)}\n`);
+
+        console.log("\n📊 Summary:");
+        console.table({ overall: summary.overall, ...summary.byType });
+        if (args.baseline) printComparison(summary.overall, args.baseline);
+        console.log(`📝 Report written to ${outPath}`);
+
+        await embeddingService.close();
+    } catch (error) {
+        console.error("💥 Fatal error:", error);
+        process.exit(1);
+    }
+}
+
+run();
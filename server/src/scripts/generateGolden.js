@@ -0,0 +1,83 @@
+import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { TABLES, TABLE_NAMES, getDataVersion } from "../services/rag/datasets.js";
+import { TEMPLATES, generateQuestions } from "../eval/goldenGenerator.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// === CONFIGURATION ===
+const GOLDEN_DIR = path.join(__dirname, "../../eval/golden");
+const DEFAULT_SEED = 42;
+const DEFAULT_PER_TEMPLATE = 5;
+
+// Usage: node src/scripts/generateGolden.js --version=N [--seed=42] [--per-template=5] [--out=path] [table ...]
+// Samples records from the data directory and writes question/answer pairs with known ground
+// truth as a golden set for evalRag.js (eval/golden/vN.json, like the hand-written v1.json).
+// The same seed and data always produce the same file.
+const parseArgs = (argv) => {
+    const args = { version: null, seed: DEFAULT_SEED, perTemplate: DEFAULT_PER_TEMPLATE, out: null, tables: [] };
+    for (const arg of argv) {
+        const [flag, value] = arg.split("=");
+        if (flag === "--version") args.version = parseInt(value, 10);
+        else if (flag === "--seed") args.seed = parseInt(value, 10);
+        else if (flag === "--per-template") args.perTemplate = parseInt(value, 10);
+        else if (flag === "--out") args.out = path.resolve(value);
+        else if (TABLES[arg]) args.tables.push(arg);
+        else throw new Error(`Unknown argument "${arg}". Tables: ${TABLE_NAMES.join(", ")}`);
+    }
+    if (!Number.isInteger(args.version) || args.version < 1) {
+        throw new Error("--version is required and must be a positive integer (the golden set is written as v<version>.json)");
+    }
+    if (!Number.isInteger(args.seed)) throw new Error("--seed must be an integer");
+    if (!Number.isInteger(args.perTemplate) || args.perTemplate < 1) throw new Error("--per-template must be a positive integer");
+    return args;
+};
+
+const countBy = (questions, keyOf) => {
+    const counts = {};
+    for (const question of questions) {
+        for (const key of [].concat(keyOf(question))) counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+};
+
+function run() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const outPath = args.out || path.join(GOLDEN_DIR, `v${args.version}.json`);
+        const tables = args.tables.length > 0 ? args.tables : null;
+
+        console.log(`🎲 Generating golden set v${args.version} (seed ${args.seed}, ${args.perTemplate} per template)`);
+        const questions = generateQuestions({ seed: args.seed, perTemplate: args.perTemplate, tables });
+        if (questions.length === 0) throw new Error("No questions generated; is DATA_DIR pointing at the Maven data?");
+
+        const golden = {
+            version: args.version,
+            description: `Generated from the Maven data by generateGolden.js (${TEMPLATES.length} templates)`,
+            generator: {
+                seed: args.seed,
+                perTemplate: args.perTemplate,
+                tables: tables || "all",
+                dataVersion: getDataVersion()
+            },
+            questions
+        };
+
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, `${JSON.stringify(golden, null, 2)}\n`);
+
+        console.table({
+            byDifficulty: countBy(questions, (question) => question.difficulty),
+            byType: countBy(questions, (question) => question.type),
+            byTable: countBy(questions, (question) => question.tables)
+        });
+        console.log(`📝 Wrote ${questions.length} questions to ${outPath}`);
+    } catch (error) {
+        console.error("💥 Fatal error:", error);
+        process.exit(1);
+    }
+}
+
+run();
@@ -1,138 +1,325 @@
-
-import * as fs from "fs";
-import * as path from "path";
-import { Pinecone } from "@pinecone-database/pinecone";
-import { fileURLToPath } from "url";
-import { pipeline } from "@xenova/transformers";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import embeddingService from "../services/embeddingService.js";
+import { estimateTokens } from "../services/embedding/modelRegistry.js";
+import { getVectorStore } from "../services/vectorStore/index.js";
+import {
+    TABLES,
+    TABLE_NAMES,
+    loadTable,
+    recordId,
+    toMetadata
+} from "../services/rag/datasets.js";
+import { KeywordIndex } from "../services/rag/keywordIndex.js";
+import { filterFields } from "../services/rag/filterExtractor.js";
+import { IndexManifest, contentHash } from "../services/rag/indexManifest.js";
+import { renderRecord, templateVersion } from "../services/rag/recordTemplates.js";
+import schemaContext, { SCHEMA_NAMESPACE } from "../services/rag/schemaContext.js";
 
 // === CONFIGURATION ===
-const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
-const PINECONE_INDEX_NAME = "quickstart";
-const NAMESPACE = "orders-ns";
+// Vector backend comes from VECTOR_STORE ("pinecone" | "local")
 const BATCH_SIZE = 250; // Larger batches since we are local
-const DATA_PATH = path.join(__dirname, "../../../client/public/data/order_items.json");
+const CHECKPOINT_EVERY = 20; // Batches between checkpoints (the local store rewrites its files on flush)
+const UPSERT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const DELETE_BATCH_SIZE = 1000; // Pinecone deletes at most 1000 ids per request
 
-async function run() {
-    try {
-        console.log("🚀 Starting RAG indexing for order_items.json (Local Embeddings)...");
-
-        // 1. Load JSON data
-        if (!fs.existsSync(DATA_PATH)) {
-            throw new Error(`File not found: ${DATA_PATH}`);
+// Usage: node src/scripts/indexOrders.js [table ...] [schema] [--limit=N] [--force]
+// With no table names every Maven Fuzzy Factory table is indexed into its own namespace, and
+// the data dictionary into the schema namespace ("schema" selects it explicitly).
+// Runs are incremental: only rows whose content hash changed are re-embedded, vectors whose
+// source rows disappeared are deleted, and an interrupted run resumes from its last checkpoint.
+// --force ignores stored hashes and the checkpoint and re-embeds everything.
+const parseArgs = (argv) => {
+    const tables = [];
+    let limit = null;
+    let force = false;
+    let schema = false;
+    for (const arg of argv) {
+        if (arg === "schema") {
+            schema = true;
+        } else if (arg.startsWith("--limit=")) {
+            limit = parseInt(arg.slice("--limit=".length), 10);
+        } else if (arg === "--force") {
+            force = true;
+        } else if (TABLES[arg]) {
+            tables.push(arg);
+        } else {
+            throw new Error(`Unknown table "${arg}". Expected one of: ${TABLE_NAMES.join(", ")}, schema`);
         }
+    }
+    const everything = tables.length === 0 && !schema;
+    return { tables: everything ? TABLE_NAMES : tables, schema: everything || schema, limit, force };
+};
 
-        const rawData = JSON.parse(fs.readFileSync(DATA_PATH, "utf-8"));
-        console.log(`📦 Loaded ${rawData.length} orders.`);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-        if (rawData.length === 0) {
-            console.log("⚠️  No data to index. Exiting.");
-            return;
+// Retries with exponential backoff; rethrows the last error once retries are exhausted
+const withRetry = async (label, request, retries = UPSERT_RETRIES) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+            console.warn(`⚠️  ${label} failed (${error.message}). Retry ${attempt + 1}/${retries} in ${delay}ms...`);
+            await sleep(delay);
         }
+    }
+};
 
-        // 2. Initialize clients
-        console.log("🔧 Initializing local embedding model (Xenova/all-mpnet-base-v2)...");
-        // Create the feature extraction pipeline
-        const embedder = await pipeline('feature-extraction', 'Xenova/all-mpnet-base-v2');
-        console.log("✅ Local model loaded!");
+async function indexTable(table, { store, model, limit, force }) {
+    const { namespace, file } = TABLES[table];
+    const summary = { table, namespace, rows: 0, inserted: 0, updated: 0, unchanged: 0, deleted: 0, failed: 0 };
 
-        const pinecone = new Pinecone({ apiKey: PINECONE_API_KEY });
-        const pineconeIndex = pinecone.Index(PINECONE_INDEX_NAME);
+    // BM25 index is rebuilt in full from the same text that gets embedded (no embedding needed).
+    // A --limit run only sees the first rows, so it updates those in the saved index instead.
+    const keywordIndex = limit ? KeywordIndex.load(namespace) : new KeywordIndex(namespace);
+    const manifest = IndexManifest.load(namespace);
+    if (force) manifest.checkpoint = null;
 
-        // 3. Verify index is ready
-        // 3. Verify index is ready (with retries)
-        let description;
-        let connRetries = 0;
-        while (connRetries < 5) {
-            try {
-                description = await pinecone.describeIndex(PINECONE_INDEX_NAME);
-                break;
-            } catch (err) {
-                connRetries++;
-                console.warn(`⚠️ Pinecone connection attempt ${connRetries} failed: ${err.message}. Retrying in 2s...`);
-                await new Promise(r => setTimeout(r, 2000));
-            }
-        }
+    // 1. Load JSON data
+    const allRows = loadTable(table);
+    const rawData = limit ? allRows.slice(0, limit) : allRows;
+    summary.rows = rawData.length;
+    console.log(`📦 Loaded ${rawData.length} rows from ${file}.`);
+
+    if (rawData.length === 0) {
+        console.log(`⚠️  No data to index for ${table}. Skipping.`);
+        return summary;
+    }
+
+    // 2. Resume from the last checkpoint if a previous run over the same data was interrupted
+    const total = rawData.length;
+    const startRow = manifest.resumeRow(total, limit);
+    if (startRow > 0) {
+        console.log(`⏩ [${table}] Resuming interrupted run from row ${startRow}/${total}`);
+    }
+    manifest.checkpoint = {
+        nextRow: startRow,
+        totalRows: total,
+        limit,
+        startedAt: startRow > 0 ? manifest.checkpoint.startedAt : new Date().toISOString()
+    };
+
+    // Batches are only checkpointed once their upserts have settled and the store is flushed.
+    // The checkpoint never moves past a failed batch, so a resumed run retries it.
+    let firstFailedRow = null;
+    const checkpoint = async (nextRow) => {
+        await store.flush();
+        manifest.checkpoint.nextRow = firstFailedRow === null ? nextRow : Math.min(nextRow, firstFailedRow);
+        manifest.checkpoint.updatedAt = new Date().toISOString();
+        manifest.save();
+    };
+
+    // The full record lives in the vector store; BM25 only needs what its filters test
+    const fields = filterFields(table);
+    const keywordMetadata = (metadata) =>
+        Object.fromEntries(fields.filter((field) => metadata[field] !== undefined).map((field) => [field, metadata[field]]));
+
+    // 3. Batch processing (Pipelined): embed batch N on the CPU while batch N-1 is upserting
+    const seenIds = new Set();
+    let activeUpsertPromise = Promise.resolve(); // Track the previous upsert
+    let batchesSinceCheckpoint = 0;
+    let truncatedRows = 0;
 
-        if (!description || !description.status?.ready) {
-            throw new Error("Pinecone index is not ready or reachable after 5 attempts.");
+    for (let i = 0; i < total; i += BATCH_SIZE) {
+        const rows = rawData.slice(i, i + BATCH_SIZE).map((item, idx) => {
+            // Readable sentence (with joined product/refund/session details) rather than raw JSON.
+            // The template version is hashed too, so a template change re-embeds the table.
+            const text = renderRecord(table, item);
+            const metadata = {
+                ...toMetadata(table, item),
+                template_version: templateVersion(table),
+                // Checked by the API before querying; a model change also changes every hash
+                embedding_model: model.name
+            };
+            return {
+                id: recordId(table, item, i + idx),
+                text,
+                // Row position is not content: inserting a row must not re-embed everything after it
+                hash: contentHash(text, metadata),
+                metadata: { source: file, row_index: i + idx, ...metadata }
+            };
+        });
+        for (const row of rows) {
+            seenIds.add(row.id);
+            keywordIndex.add(row.id, row.text, keywordMetadata(row.metadata));
+            if (estimateTokens(row.text) > model.maxTokens) truncatedRows++;
         }
-        console.log(`✅ Connected to Pinecone index: ${PINECONE_INDEX_NAME} (768 dim)`);
 
-        // 4. Batch processing (Pipelined)
-        const total = rawData.length;
-        let activeUpsertPromise = Promise.resolve(); // Track the previous upsert
+        // Committed before the interruption
+        if (i < startRow) continue;
 
-        for (let i = 0; i < total; i += BATCH_SIZE) {
-            const batch = rawData.slice(i, i + BATCH_SIZE);
+        const changed = rows.filter((row) => force || !manifest.isUnchanged(row.id, row.hash));
+        summary.unchanged += rows.length - changed.length;
 
+        if (changed.length > 0) {
             try {
-                // A. Generate embeddings (CPU bound - Local Model)
-                // We do this *before* waiting for the previous upsert to finish, 
-                // but since Node is single-threaded for CPU, this actually blocks.
-                // However, the `upsert` is network/background, so it proceeds in parallel 
-                // with this CPU work if we don't await it yet.
-                // But to prevent memory explosion, we *should* await the previous one *before* 
-                // pushing too much.
-
-                // Strategy: 
-                // 1. Wait for previous upsert (so we don't flood memory/network).
-                // 2. Generate current embeddings.
-                // 3. Fire new upsert (without awaiting).
-
-                // Wait for the *previous* batch to finish upserting before starting CPU work for the new one?
-                // No, we want CPU (Embed) and Network (Upsert) to overlap.
-                // 1. Generate Embeddings (CPU)
-                // 2. Await Previous Upsert
-                // 3. Start Current Upsert
-
-                const vectors = [];
-                for (const item of batch) {
-                    const text = JSON.stringify(item);
-                    const output = await embedder(text, { pooling: 'mean', normalize: true });
-                    vectors.push(Array.from(output.data));
-                }
-
-                // Prepare records
-                const records = batch.map((item, idx) => ({
-                    id: (item.order_id || `order-${i + idx}`).toString(),
-                    values: vectors[idx],
-                    metadata: {
-                        source: "orders.json",
-                        order_index: i + idx,
-                        ...item
-                    },
-                }));
-
-                // B. Ensure previous upsert is done before starting new one (flow control)
+                // Batched on the embedding workers; rows embedded before (by text) come from the cache
+                const vectors = await embeddingService.getEmbeddings(changed.map((row) => row.text));
+                const records = changed.map((row, idx) => ({ id: row.id, values: vectors[idx], metadata: row.metadata }));
+
+                // Ensure previous upsert is done before starting new one (flow control)
                 await activeUpsertPromise;
 
-                // C. Start new upsert (Fire and forget from the loop's perspective, catch errors in the promise)
-                activeUpsertPromise = pineconeIndex.namespace(NAMESPACE).upsert(records)
+                // Start new upsert (Fire and forget from the loop's perspective, failures are
+                // counted and left out of the manifest so the next run picks them up again)
+                activeUpsertPromise = withRetry(`[${table}] Upsert of batch ${i}`, () => store.upsert(namespace, records))
                     .then(() => {
+                        for (const row of changed) {
+                            if (manifest.hashes.has(row.id)) summary.updated++;
+                            else summary.inserted++;
+                        }
+                        manifest.commit(changed);
                         console.log(
-                            `✅ Indexed ${Math.min(i + BATCH_SIZE, total)}/${total} orders`
+                            `✅ [${table}] Indexed ${Math.min(i + BATCH_SIZE, total)}/${total} rows (${changed.length} changed)`
                         );
                     })
                     .catch(err => {
-                        console.error(`❌ Upsert failed for batch ${i}:`, err.message);
+                        summary.failed += changed.length;
+                        firstFailedRow = firstFailedRow === null ? i : Math.min(firstFailedRow, i);
+                        console.error(`❌ [${table}] Upsert failed for batch ${i}:`, err.message);
                     });
 
             } catch (error) {
+                summary.failed += changed.length;
+                firstFailedRow = firstFailedRow === null ? i : Math.min(firstFailedRow, i);
                 console.error(
-                    `❌ Error processing batch ${i}:`,
+                    `❌ [${table}] Error processing batch ${i}:`,
                     error.message || error
                 );
             }
         }
 
-        // Wait for the final batch
-        await activeUpsertPromise;
+        if (++batchesSinceCheckpoint >= CHECKPOINT_EVERY) {
+            await activeUpsertPromise;
+            await checkpoint(Math.min(i + BATCH_SIZE, total));
+            batchesSinceCheckpoint = 0;
+        }
+    }
+
+    // Wait for the final batch
+    await activeUpsertPromise;
+
+    if (truncatedRows > 0) {
+        console.warn(`⚠️  [${table}] ~${truncatedRows} rows exceed ${model.name}'s ${model.maxTokens}-token limit and are truncated when embedded`);
+    }
+
+    // 4. Delete vectors whose source rows are gone. A --limit run only sees part of the
+    //    table, so it cannot tell which rows vanished.
+    if (limit) {
+        console.log(`ℹ️  [${table}] Skipping stale vector cleanup for a --limit run`);
+    } else {
+        const staleIds = [...manifest.hashes.keys()].filter((id) => !seenIds.has(id));
+        for (let i = 0; i < staleIds.length; i += DELETE_BATCH_SIZE) {
+            const ids = staleIds.slice(i, i + DELETE_BATCH_SIZE);
+            try {
+                await withRetry(`[${table}] Delete of ${ids.length} stale vectors`, () => store.delete(namespace, ids));
+                manifest.forget(ids);
+                summary.deleted += ids.length;
+            } catch (error) {
+                summary.failed += ids.length;
+                console.error(`❌ [${table}] Failed to delete ${ids.length} stale vectors:`, error.message);
+            }
+        }
+        if (summary.deleted > 0) console.log(`🗑️  [${table}] Deleted ${summary.deleted} stale vectors`);
+    }
+
+    // 5. The run is complete: record what happened. The checkpoint is only dropped when nothing
+    //    failed; otherwise it stays at the first failed batch for the next run to resume from.
+    manifest.lastRun = { ...summary, finishedAt: new Date().toISOString() };
+    if (summary.failed === 0) {
+        await store.flush();
+        manifest.checkpoint = null;
+        manifest.save();
+    } else {
+        await checkpoint(total);
+        console.warn(`⚠️  [${table}] ${summary.failed} rows failed; the next run resumes from row ${manifest.checkpoint.nextRow}`);
+    }
+
+    keywordIndex.save();
+    console.log(`🔤 [${table}] Keyword index saved (${keywordIndex.size} documents)`);
+    return summary;
+}
+
+// The dictionary is a few dozen rows, so it is simply replaced on every run
+async function indexSchema({ store, model }) {
+    const records = schemaContext.records();
+    const summary = { table: "(data dictionary)", namespace: SCHEMA_NAMESPACE, rows: records.length, inserted: 0, updated: 0, unchanged: 0, deleted: 0, failed: 0 };
+    if (records.length === 0) {
+        console.log("⚠️  Data dictionary is empty or missing. Skipping.");
+        return summary;
+    }
+
+    try {
+        const vectors = await embeddingService.getEmbeddings(records.map((record) => record.text));
+        await withRetry("[schema] Clear", () => store.deleteAll(SCHEMA_NAMESPACE));
+        await withRetry(`[schema] Upsert of ${records.length} entries`, () => store.upsert(
+            SCHEMA_NAMESPACE,
+            records.map((record, i) => ({
+                id: record.id,
+                values: vectors[i],
+                metadata: { ...record.metadata, embedding_model: model.name }
+            }))
+        ));
+        await store.flush();
+        summary.inserted = records.length;
+        console.log(`✅ [schema] Indexed ${records.length} field descriptions`);
+    } catch (error) {
+        summary.failed = records.length;
+        console.error("❌ [schema] Failed to index the data dictionary:", error.message);
+    }
+    return summary;
+}
+
+async function run() {
+    try {
+        const { tables, schema, limit, force } = parseArgs(process.argv.slice(2));
+        const targets = schema ? [...tables, "schema"] : tables;
+        console.log(`🚀 Starting RAG indexing for ${targets.join(", ")} (Local Embeddings)...`);
+
+        // 1. Initialize clients (the embedding model loads in its worker on first use)
+        const store = getVectorStore();
+
+        // 2. Verify the store is ready (Pinecone retries the connection internally) and that
+        //    its dimension fits the configured embedding model
+        const ready = await store.ensureReady();
+        console.log(`✅ Connected to vector store: ${ready.name}`);
+
+        const model = embeddingService.getModel();
+        if (ready.dimension && ready.dimension !== model.dimension) {
+            throw new Error(
+                `Vector store dimension is ${ready.dimension} but ${model.name} produces ${model.dimension}-d vectors. ` +
+                "Use a new Pinecone index / VECTOR_STORE_PATH, or set EMBEDDING_MODEL to the model the index was built with."
+            );
+        }
+
+        // 3. Index each table into its own namespace
+        const summaries = [];
+        for (const table of tables) {
+            console.log(`\n📚 Indexing ${table} → ${TABLES[table].namespace}`);
+            summaries.push(await indexTable(table, { store, model, limit, force }));
+        }
+        if (schema) {
+            console.log(`\n📚 Indexing data dictionary → ${SCHEMA_NAMESPACE}`);
+            summaries.push(await indexSchema({ store, model }));
+        }
+
+        // 4. Summary report
+        const stats = await store.stats();
+        const failed = summaries.reduce((sum, summary) => sum + summary.failed, 0);
+        console.log(failed > 0
+            ? `\n⚠️  Indexing finished with ${failed} failed records. Re-run to retry them.`
+            : "\n🎉 Indexing complete! Your data is now searchable.");
+        console.table(summaries.map((summary) => ({
+            ...summary,
+            records: stats.namespaces[summary.namespace]?.recordCount ?? 0
+        })));
+        console.log(`📊 Backend: ${stats.backend}`);
 
-        console.log("🎉 Indexing complete! Your orders are now searchable.");
-        console.log(`🔗 Go to Pinecone dashboard to see record count grow.`);
+        const cache = embeddingService.getStats();
+        console.log(`🧠 Embeddings: ${cache.misses} computed, ${cache.memoryHits + cache.diskHits} from cache`);
+        await embeddingService.close();
+        if (failed > 0) process.exitCode = 1;
 
     } catch (error) {
         console.error("💥 Fatal error:", error);
@@ -140,4 +327,4 @@ async function run() {
     }
 }
 
-run();
\ No newline at end of file
+run();
@@ -0,0 +1,16 @@
+import { pipeline } from "@xenova/transformers";
+
+// Loads the feature-extraction pipeline for a registry model. Used inside the embedding
+// workers (and in-process when EMBEDDING_WORKERS=0).
+export const loadEmbedder = (model) => pipeline("feature-extraction", model.name);
+
+// Embeds a batch in one forward pass. Returns one Float32Array per input text.
+// Inputs longer than the model's max tokens are truncated by the tokenizer.
+export const embedTexts = async (embedder, texts, model) => {
+    const output = await embedder(texts, { pooling: model.pooling, normalize: model.normalize });
+    const dimension = output.dims[output.dims.length - 1];
+    if (dimension !== model.dimension) {
+        throw new Error(`${model.name} produced ${dimension}-d vectors, registry says ${model.dimension}`);
+    }
+    return texts.map((_, i) => output.data.slice(i * dimension, (i + 1) * dimension));
+};
@@ -0,0 +1,147 @@
+import * as fs from "fs";
+import * as path from "path";
+import { createHash } from "crypto";
+
+const KEY_BYTES = 16;
+const HEADER_BYTES = 8; // "EMB1" + uint32 dimension
+const MAGIC = "EMB1";
+
+// Cache key: model + text, so switching models never returns a stale vector
+export const embeddingKey = (model, text) =>
+    createHash("sha256").update(model).update("\u0000").update(text).digest().subarray(0, KEY_BYTES);
+
+// Small in-memory LRU (Map iteration order is insertion order)
+export class LruCache {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.map = new Map();
+    }
+
+    get(key) {
+        const value = this.map.get(key);
+        if (value === undefined) return undefined;
+        this.map.delete(key);
+        this.map.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        if (this.capacity <= 0) return;
+        this.map.delete(key);
+        this.map.set(key, value);
+        if (this.map.size > this.capacity) {
+            this.map.delete(this.map.keys().next().value);
+        }
+    }
+
+    get size() {
+        return this.map.size;
+    }
+}
+
+// Append-only on-disk cache, one file per model:
+//   <dir>/<model>.bin - header, then fixed-size records of [16-byte key][dimension × float32]
+// Only keys and offsets are held in memory; vectors are read on demand. Records are appended
+// with a single write, so the API server and the indexer can share the file.
+export class DiskEmbeddingCache {
+    constructor({ dir, model }) {
+        this.filePath = path.join(dir, `${model.replace(/[^A-Za-z0-9._-]+/g, "_")}.bin`);
+        this.dimension = null;
+        this.offsets = new Map(); // hex key -> byte offset of the vector
+        this.fd = null;
+    }
+
+    open() {
+        if (this.fd !== null) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, "a+");
+
+        const { size } = fs.fstatSync(this.fd);
+        if (size < HEADER_BYTES) {
+            if (size > 0) fs.ftruncateSync(this.fd, 0); // Torn header
+            return;
+        }
+
+        const header = Buffer.alloc(HEADER_BYTES);
+        fs.readSync(this.fd, header, 0, HEADER_BYTES, 0);
+        if (header.toString("ascii", 0, 4) !== MAGIC) {
+            throw new Error(`Not an embedding cache file: ${this.filePath}`);
+        }
+        this.dimension = header.readUInt32LE(4);
+
+        // A torn trailing record from a crashed writer would misalign every later append
+        const aligned = size - ((size - HEADER_BYTES) % this.recordBytes);
+        if (aligned !== size) fs.ftruncateSync(this.fd, aligned);
+        this.scan(aligned);
+    }
+
+    get recordBytes() {
+        return KEY_BYTES + this.dimension * 4;
+    }
+
+    // Reads keys only, in chunks
+    scan(size) {
+        const recordBytes = this.recordBytes;
+        const records = Math.floor((size - HEADER_BYTES) / recordBytes);
+        const perChunk = Math.max(1, Math.floor((4 * 1024 * 1024) / recordBytes));
+        const chunk = Buffer.alloc(perChunk * recordBytes);
+
+        for (let first = 0; first < records; first += perChunk) {
+            const count = Math.min(perChunk, records - first);
+            const start = HEADER_BYTES + first * recordBytes;
+            fs.readSync(this.fd, chunk, 0, count * recordBytes, start);
+            for (let i = 0; i < count; i++) {
+                const key = chunk.toString("hex", i * recordBytes, i * recordBytes + KEY_BYTES);
+                this.offsets.set(key, start + i * recordBytes + KEY_BYTES);
+            }
+        }
+    }
+
+    get(key) {
+        this.open();
+        const hex = key.toString("hex");
+        const offset = this.offsets.get(hex);
+        if (offset === undefined) return undefined;
+
+        // The key is re-read with the vector: another process appending at the same moment
+        // can make a recorded offset wrong, and a wrong offset must be a miss, not a bad vector
+        const record = Buffer.alloc(this.recordBytes);
+        fs.readSync(this.fd, record, 0, record.length, offset - KEY_BYTES);
+        if (!record.subarray(0, KEY_BYTES).equals(key)) {
+            this.offsets.delete(hex);
+            return undefined;
+        }
+        return new Float32Array(record.buffer, record.byteOffset + KEY_BYTES, this.dimension);
+    }
+
+    set(key, vector) {
+        this.open();
+        const hex = key.toString("hex");
+        if (this.offsets.has(hex)) return;
+
+        if (this.dimension === null) {
+            this.dimension = vector.length;
+            const header = Buffer.alloc(HEADER_BYTES);
+            header.write(MAGIC, 0, "ascii");
+            header.writeUInt32LE(this.dimension, 4);
+            fs.writeSync(this.fd, header);
+        } else if (vector.length !== this.dimension) {
+            throw new Error(`Embedding cache dimension mismatch: ${this.dimension} vs ${vector.length}`);
+        }
+
+        const record = Buffer.alloc(this.recordBytes);
+        key.copy(record, 0);
+        Buffer.from(Float32Array.from(vector).buffer).copy(record, KEY_BYTES);
+
+        // Records are fixed-size, so the offset is wherever the append lands
+        const { size } = fs.fstatSync(this.fd);
+        fs.writeSync(this.fd, record);
+        this.offsets.set(hex, size + KEY_BYTES);
+    }
+
+    close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
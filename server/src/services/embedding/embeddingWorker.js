@@ -0,0 +1,19 @@
+import { parentPort, workerData } from "worker_threads";
+import { loadEmbedder, embedTexts } from "./embedder.js";
+
+// Runs the ONNX model off the main thread. Messages in: { id, texts }.
+// Messages out: { id, result } with the vectors (their buffers are transferred) or { id, error }.
+// workerData.model is a model registry entry
+const embedderPromise = loadEmbedder(workerData.model);
+// A model that fails to load fails each task instead of crashing (and respawning) the worker
+embedderPromise.catch(() => {});
+
+parentPort.on("message", async ({ id, texts }) => {
+    try {
+        const embedder = await embedderPromise;
+        const vectors = await embedTexts(embedder, texts, workerData.model);
+        parentPort.postMessage({ id, result: vectors }, vectors.map((vector) => vector.buffer));
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message || String(error) });
+    }
+});
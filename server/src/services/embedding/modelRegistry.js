@@ -0,0 +1,55 @@
+// Sentence-embedding models the indexer and askAI can use. The active one is chosen with
+// EMBEDDING_MODEL (registry key or full model name) and recorded on every indexed vector,
+// so an index is never queried with vectors from a different model.
+export const EMBEDDING_MODELS = {
+    "all-mpnet-base-v2": {
+        name: "Xenova/all-mpnet-base-v2",
+        dimension: 768,
+        pooling: "mean",
+        normalize: true,
+        maxTokens: 384
+    },
+    "all-MiniLM-L6-v2": {
+        name: "Xenova/all-MiniLM-L6-v2",
+        dimension: 384,
+        pooling: "mean",
+        normalize: true,
+        maxTokens: 256
+    },
+    "bge-small-en-v1.5": {
+        name: "Xenova/bge-small-en-v1.5",
+        dimension: 384,
+        pooling: "cls",
+        normalize: true,
+        maxTokens: 512
+    },
+    "bge-base-en-v1.5": {
+        name: "Xenova/bge-base-en-v1.5",
+        dimension: 768,
+        pooling: "cls",
+        normalize: true,
+        maxTokens: 512
+    }
+};
+
+export const DEFAULT_EMBEDDING_MODEL = "all-mpnet-base-v2";
+
+export const findEmbeddingModel = (nameOrKey) =>
+    EMBEDDING_MODELS[nameOrKey] ||
+    Object.values(EMBEDDING_MODELS).find((model) => model.name === nameOrKey) ||
+    null;
+
+// Read lazily: dotenv loads after imports
+export const getEmbeddingModel = () => {
+    const configured = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+    const model = findEmbeddingModel(configured);
+    if (!model) {
+        throw new Error(
+            `Unknown EMBEDDING_MODEL "${configured}". Expected one of: ${Object.keys(EMBEDDING_MODELS).join(", ")}`
+        );
+    }
+    return model;
+};
+
+// Rough token estimate (~4 characters per token) for warning about truncated inputs
+export const estimateTokens = (text) => Math.ceil(String(text).length / 4);
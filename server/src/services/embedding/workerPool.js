@@ -0,0 +1,94 @@
+import { Worker } from "worker_threads";
+
+// Fixed-size pool of model workers (embeddings, reranking) with a FIFO task queue. Idle
+// workers are unref'd so a finished script can exit; a worker that crashes fails its task and
+// is replaced. Workers receive { id, ...task } and reply { id, result } or { id, error }.
+export class WorkerPool {
+    constructor({ script, workerData, size, name }) {
+        this.script = script;
+        this.workerData = workerData;
+        this.size = size;
+        this.name = name; // For logs, e.g. "Embedding"
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.pending = new Map(); // task id -> { resolve, reject, worker }
+        this.nextId = 0;
+    }
+
+    spawn() {
+        const worker = new Worker(this.script, { workerData: this.workerData });
+        worker.unref();
+
+        worker.on("message", ({ id, result, error }) => {
+            const task = this.pending.get(id);
+            if (!task) return;
+            this.pending.delete(id);
+            if (error) task.reject(new Error(error));
+            else task.resolve(result);
+            this.release(worker);
+        });
+
+        worker.on("error", (error) => {
+            console.error(`❌ ${this.name} worker crashed:`, error.message);
+            this.replace(worker, error);
+        });
+
+        worker.on("exit", (code) => {
+            if (code !== 0) this.replace(worker, new Error(`${this.name} worker exited with code ${code}`));
+        });
+
+        this.workers.push(worker);
+        this.idle.push(worker);
+        return worker;
+    }
+
+    replace(worker, error) {
+        if (!this.workers.includes(worker)) return;
+        this.workers = this.workers.filter((w) => w !== worker);
+        this.idle = this.idle.filter((w) => w !== worker);
+
+        for (const [id, task] of this.pending) {
+            if (task.worker === worker) {
+                this.pending.delete(id);
+                task.reject(error);
+            }
+        }
+        this.spawn();
+        this.drain();
+    }
+
+    // Resolves to the worker's `result` for the task
+    run(task) {
+        if (this.workers.length === 0) {
+            for (let i = 0; i < this.size; i++) this.spawn();
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.shift();
+            const { id, task, resolve, reject } = this.queue.shift();
+            this.pending.set(id, { resolve, reject, worker });
+            worker.ref(); // Keep the process alive while a task is in flight
+            worker.postMessage({ id, ...task });
+        }
+    }
+
+    release(worker) {
+        worker.unref();
+        this.idle.push(worker);
+        this.drain();
+    }
+
+    async close() {
+        const workers = this.workers;
+        this.workers = [];
+        this.idle = [];
+        await Promise.all(workers.map((worker) => worker.terminate()));
+    }
+}
@@ -1,25 +1,168 @@
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { WorkerPool } from "./embedding/workerPool.js";
+import { LruCache, DiskEmbeddingCache, embeddingKey } from "./embedding/embeddingCache.js";
+import { loadEmbedder, embedTexts } from "./embedding/embedder.js";
+import { getEmbeddingModel } from "./embedding/modelRegistry.js";
 
-import { pipeline } from "@xenova/transformers";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
+// === CONFIGURATION ===
+// The model itself comes from EMBEDDING_MODEL (see embedding/modelRegistry.js)
+const DEFAULT_CACHE_PATH = path.join(__dirname, "../../.embeddingcache");
+const WORKER_SCRIPT = new URL("./embedding/embeddingWorker.js", import.meta.url);
+const DEFAULT_WORKERS = 1; // Each worker holds its own copy of the model
+const DEFAULT_BATCH_SIZE = 32; // Texts per forward pass
+const DEFAULT_MEMORY_CACHE_SIZE = 5000;
+
+const readInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Shared by askAI (query embeddings) and indexOrders.js (record embeddings).
+// Inference runs in worker threads so it never blocks the Express event loop, texts are
+// embedded in batches, and every vector is cached in memory (LRU) and on disk, keyed by
+// model + text hash. Config is read on first use because dotenv loads after imports.
 class EmbeddingService {
     constructor() {
-        this.pipe = null;
+        this.model = null; // Model registry entry, resolved on first use
+        this.ready = false;
+        this.pool = null;
+        this.inProcessEmbedder = null; // Promise, so concurrent first calls load the model once
+        this.memoryCache = null;
+        this.diskCache = null;
+        this.stats = { memoryHits: 0, diskHits: 0, misses: 0 };
+    }
+
+    init() {
+        if (this.ready) return;
+        this.model = getEmbeddingModel();
+        const workers = readInt(process.env.EMBEDDING_WORKERS, DEFAULT_WORKERS);
+        this.batchSize = Math.max(1, readInt(process.env.EMBEDDING_BATCH_SIZE, DEFAULT_BATCH_SIZE));
+        this.memoryCache = new LruCache(readInt(process.env.EMBEDDING_CACHE_SIZE, DEFAULT_MEMORY_CACHE_SIZE));
+        if (process.env.EMBEDDING_DISK_CACHE !== "false") {
+            this.diskCache = new DiskEmbeddingCache({
+                dir: process.env.EMBEDDING_CACHE_PATH || DEFAULT_CACHE_PATH,
+                model: this.model.name
+            });
+        }
+        // EMBEDDING_WORKERS=0 runs the model on the main thread (debugging only)
+        if (workers > 0) {
+            this.pool = new WorkerPool({ script: WORKER_SCRIPT, workerData: { model: this.model }, size: workers, name: "Embedding" });
+        }
+        console.log(`🧠 Embedding service: ${this.model.name} (${this.model.dimension}d), ${workers > 0 ? `${workers} worker(s)` : "in-process"}, disk cache ${this.diskCache ? "on" : "off"}`);
+        this.ready = true;
     }
 
-    async getPipeline() {
-        if (!this.pipe) {
+    async runModel(texts) {
+        if (this.pool) return this.pool.run({ texts });
+        if (!this.inProcessEmbedder) {
             console.log("Loading embedding pipeline...");
-            this.pipe = await pipeline('feature-extraction', 'Xenova/all-mpnet-base-v2');
-            console.log("Embedding pipeline loaded.");
+            this.inProcessEmbedder = loadEmbedder(this.model);
         }
-        return this.pipe;
+        return embedTexts(await this.inProcessEmbedder, texts, this.model);
+    }
+
+    lookup(key) {
+        const hex = key.toString("hex");
+        const cached = this.memoryCache.get(hex);
+        if (cached) {
+            this.stats.memoryHits++;
+            return cached;
+        }
+        const stored = this.readDisk(key);
+        if (stored) {
+            this.stats.diskHits++;
+            this.memoryCache.set(hex, stored);
+        }
+        return stored;
+    }
+
+    // The disk cache is an optimisation: I/O errors degrade to a miss, never a failed request
+    readDisk(key) {
+        if (!this.diskCache) return undefined;
+        try {
+            return this.diskCache.get(key);
+        } catch (error) {
+            console.warn(`⚠️ Embedding disk cache read failed: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    store(key, vector) {
+        this.memoryCache.set(key.toString("hex"), vector);
+        if (!this.diskCache) return;
+        try {
+            this.diskCache.set(key, vector);
+        } catch (error) {
+            console.warn(`⚠️ Embedding disk cache write failed: ${error.message}`);
+        }
+    }
+
+    // One vector (number[]) per input text, in order
+    async getEmbeddings(texts) {
+        this.init();
+        const vectors = new Array(texts.length);
+        const missing = new Map(); // text -> { key, indexes }
+
+        texts.forEach((text, i) => {
+            const pending = missing.get(text);
+            if (pending) {
+                pending.indexes.push(i);
+                return;
+            }
+            const key = embeddingKey(this.model.name, text);
+            const cached = this.lookup(key);
+            if (cached) vectors[i] = cached;
+            else missing.set(text, { key, indexes: [i] });
+        });
+
+        const entries = [...missing];
+        this.stats.misses += entries.length;
+
+        const batches = [];
+        for (let i = 0; i < entries.length; i += this.batchSize) {
+            batches.push(entries.slice(i, i + this.batchSize));
+        }
+        // Batches are queued on the pool together, so several workers can share the load
+        await Promise.all(batches.map(async (batch) => {
+            const results = await this.runModel(batch.map(([text]) => text));
+            batch.forEach(([, { key, indexes }], j) => {
+                this.store(key, results[j]);
+                for (const i of indexes) vectors[i] = results[j];
+            });
+        }));
+
+        return vectors.map((vector) => Array.from(vector));
     }
 
     async getEmbedding(text) {
-        const pipe = await this.getPipeline();
-        // pooling: 'mean', normalize: true is standard for sentence comparisons
-        const output = await pipe(text, { pooling: 'mean', normalize: true });
-        return Array.from(output.data);
+        const [vector] = await this.getEmbeddings([text]);
+        return vector;
+    }
+
+    // The registry entry for the configured model (dimension, pooling, max tokens, ...)
+    getModel() {
+        this.init();
+        return this.model;
+    }
+
+    getStats() {
+        return {
+            model: this.model?.name ?? null,
+            ...this.stats,
+            memoryEntries: this.memoryCache?.size ?? 0,
+            diskEntries: this.diskCache?.offsets.size ?? 0
+        };
+    }
+
+    async close() {
+        await this.pool?.close();
+        this.pool = null;
+        this.diskCache?.close();
+        this.ready = false;
     }
 }
 
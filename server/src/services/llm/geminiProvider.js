@@ -0,0 +1,68 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+const toUsage = (metadata) =>
+    metadata
+        ? { promptTokens: metadata.promptTokenCount, completionTokens: metadata.candidatesTokenCount, totalTokens: metadata.totalTokenCount }
+        : null;
+
+class GeminiProvider {
+    constructor({ apiKey, model }) {
+        this.name = "gemini";
+        this.apiKey = apiKey;
+        this.model = model;
+        this.genAI = null;
+    }
+
+    getClient() {
+        if (!this.genAI) {
+            if (!this.apiKey) {
+                throw new Error("GEMINI_API_KEY is not defined in environment variables");
+            }
+            this.genAI = new GoogleGenerativeAI(this.apiKey);
+        }
+        return this.genAI;
+    }
+
+    // Chat messages become Gemini contents: "assistant" turns are "model" turns and system
+    // messages move to the system instruction
+    buildRequest({ messages, temperature = 0.7, maxTokens = 1024, json = false }) {
+        const system = messages.filter((message) => message.role === "system").map((message) => message.content);
+        const model = this.getClient().getGenerativeModel({
+            model: this.model,
+            ...(system.length > 0 ? { systemInstruction: system.join("\n\n") } : {}),
+            generationConfig: {
+                temperature,
+                maxOutputTokens: maxTokens,
+                ...(json ? { responseMimeType: "application/json" } : {})
+            }
+        });
+        const contents = messages
+            .filter((message) => message.role !== "system")
+            .map((message) => ({ role: message.role === "assistant" ? "model" : "user", parts: [{ text: message.content }] }));
+        return { model, contents };
+    }
+
+    async chat(request) {
+        const { model, contents } = this.buildRequest(request);
+        const result = await model.generateContent({ contents });
+        const response = await result.response;
+        return { text: response.text(), usage: toUsage(response.usageMetadata) };
+    }
+
+    async stream(request, onToken) {
+        const { model, contents } = this.buildRequest(request);
+        const result = await model.generateContentStream({ contents });
+
+        let text = "";
+        for await (const chunk of result.stream) {
+            const token = chunk.text();
+            if (!token) continue;
+            text += token;
+            onToken(token);
+        }
+        const response = await result.response;
+        return { text, usage: toUsage(response.usageMetadata) };
+    }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,62 @@
+import Groq from "groq-sdk";
+
+const toUsage = (usage) =>
+    usage
+        ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens, totalTokens: usage.total_tokens }
+        : null;
+
+class GroqProvider {
+    constructor({ apiKey, model }) {
+        this.name = "groq";
+        this.apiKey = apiKey;
+        this.model = model;
+        this.client = null;
+    }
+
+    // The client is created on first use so a chain can list Groq without a key configured
+    getClient() {
+        if (!this.client) {
+            if (!this.apiKey) {
+                throw new Error("GROQ_API_KEY is not defined in environment variables");
+            }
+            this.client = new Groq({ apiKey: this.apiKey });
+        }
+        return this.client;
+    }
+
+    buildRequest({ messages, temperature = 0.7, maxTokens = 1024, json = false }) {
+        return {
+            messages,
+            model: this.model,
+            temperature,
+            max_tokens: maxTokens,
+            ...(json ? { response_format: { type: "json_object" } } : {})
+        };
+    }
+
+    async chat(request) {
+        const chatCompletion = await this.getClient().chat.completions.create(this.buildRequest(request));
+        return {
+            text: chatCompletion.choices[0]?.message?.content || "",
+            usage: toUsage(chatCompletion.usage)
+        };
+    }
+
+    // Groq reports usage on the last chunk under `x_groq`
+    async stream(request, onToken) {
+        const stream = await this.getClient().chat.completions.create({ ...this.buildRequest(request), stream: true });
+
+        let text = "";
+        let usage = null;
+        for await (const chunk of stream) {
+            if (chunk.x_groq?.usage) usage = toUsage(chunk.x_groq.usage);
+            const token = chunk.choices[0]?.delta?.content || "";
+            if (!token) continue;
+            text += token;
+            onToken(token);
+        }
+        return { text, usage };
+    }
+}
+
+export default GroqProvider;
@@ -0,0 +1,71 @@
+import GroqProvider from "./groqProvider.js";
+import GeminiProvider from "./geminiProvider.js";
+import OpenAICompatibleProvider from "./openaiCompatibleProvider.js";
+
+// === CONFIGURATION ===
+// Each role reads LLM_<ROLE>_PROVIDERS, then LLM_PROVIDERS: an ordered, comma-separated chain
+// of "groq", "gemini" or "local" (an OpenAI-compatible endpoint at LOCAL_LLM_BASE_URL), each
+// optionally pinned to a model: "groq:llama-3.1-8b-instant,local:qwen2.5:7b". LLM_MOCK=true
+// replaces every chain with the scripted "mock" provider, for tests and offline runs.
+export const LLM_ROLES = ["planner", "researcher", "rag"];
+const DEFAULT_CHAIN = "groq";
+const DEFAULT_MODELS = {
+    groq: "llama-3.3-70b-versatile",
+    gemini: "gemini-2.5-flash",
+    local: "llama3.1",
+    mock: "mock-rules"
+};
+const DEFAULT_LOCAL_BASE_URL = "http://localhost:11434/v1"; // Ollama
+
+const providers = new Map();
+
+const createProvider = async (name, model) => {
+    switch (name) {
+        case "groq":
+            return new GroqProvider({
+                apiKey: process.env.GROQ_API_KEY,
+                model: model || process.env.GROQ_MODEL || DEFAULT_MODELS.groq
+            });
+        case "gemini":
+            return new GeminiProvider({
+                apiKey: process.env.GEMINI_API_KEY,
+                model: model || process.env.GEMINI_MODEL || DEFAULT_MODELS.gemini
+            });
+        case "local":
+            return new OpenAICompatibleProvider({
+                baseUrl: process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+                apiKey: process.env.LOCAL_LLM_API_KEY,
+                model: model || process.env.LOCAL_LLM_MODEL || DEFAULT_MODELS.local
+            });
+        case "mock": {
+            // Test-only, so it is not loaded unless selected
+            const { default: MockProvider } = await import("./mockProvider.js");
+            return new MockProvider({ model: model || DEFAULT_MODELS.mock });
+        }
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+};
+
+// Resolves to one instance per "provider[:model]" spec. Env is read on first use, not at
+// import time. Every provider has chat(request) and stream(request, onToken), where request is
+// { messages, temperature, maxTokens, json }, both resolving to { text, usage }.
+export const getProvider = (spec) => {
+    if (!providers.has(spec)) {
+        const separator = spec.indexOf(":");
+        const name = (separator === -1 ? spec : spec.slice(0, separator)).toLowerCase();
+        const model = separator === -1 ? null : spec.slice(separator + 1);
+        const created = createProvider(name, model);
+        created.catch(() => providers.delete(spec)); // Retried on the next call
+        providers.set(spec, created);
+    }
+    return providers.get(spec);
+};
+
+export const getProviderChain = (role) => {
+    if (process.env.LLM_MOCK === "true") return ["mock"];
+    const value = process.env[`LLM_${role.toUpperCase()}_PROVIDERS`] || process.env.LLM_PROVIDERS || DEFAULT_CHAIN;
+    return value.split(",").map((spec) => spec.trim()).filter(Boolean);
+};
+
+export { GroqProvider, GeminiProvider, OpenAICompatibleProvider };
@@ -0,0 +1,42 @@
+// A small JSON Schema subset for checking LLM replies: type (object, array, string, number,
+// integer, boolean), required, properties, items, enum, minimum and maximum. Returns a list
+// of problems ("scores.clarity must be <= 10"), empty when the value is valid.
+const typeOf = (value) => {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+};
+
+export const validateSchema = (schema, value, path = "") => {
+    const label = path || "value";
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${label} must be ${schema.type === "integer" || schema.type === "array" ? "an" : "a"} ${schema.type}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${label} must be one of: ${schema.enum.join(", ")}`];
+    }
+
+    const errors = [];
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label} must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label} must be <= ${schema.maximum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${label}[${index}]`)));
+    }
+    if (typeOf(value) === "object") {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path ? `${path}.` : ""}${key} is required`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validateSchema(propertySchema, value[key], path ? `${path}.${key}` : key));
+        }
+    }
+    return errors;
+};
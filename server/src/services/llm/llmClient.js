@@ -0,0 +1,69 @@
+import { getProvider, getProviderChain } from "./index.js";
+
+// === CONFIGURATION ===
+const MAX_RATE_LIMIT_ROUNDS = 3; // Passes over a chain whose providers were rate limited
+const BACKOFF_MS = 5000; // Linear backoff between passes: 5s, 10s
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs a chat or streamed completion for a role (planner, researcher, rag) against its
+// provider chain: a provider that errors or is rate limited hands over to the next one. When
+// the whole chain failed and some provider was rate limited, the chain is retried after a
+// backoff. Results are { text, usage, provider, model }; usage is
+// { promptTokens, completionTokens, totalTokens } or null when the provider reports none.
+class LLMClient {
+    isRateLimitError(error) {
+        return error.status === 429 || /429|Too Many Requests|rate limit/i.test(error.message || "");
+    }
+
+    async chat(role, request) {
+        return this.run(role, (provider) => provider.chat(request));
+    }
+
+    // Falls back only until the first token is out: a half-streamed answer cannot be retried
+    async stream(role, request, onToken) {
+        let started = false;
+        return this.run(
+            role,
+            (provider) => provider.stream(request, (token) => {
+                started = true;
+                onToken(token);
+            }),
+            () => started
+        );
+    }
+
+    async run(role, call, committed = () => false) {
+        const chain = getProviderChain(role);
+
+        for (let round = 1; ; round++) {
+            const failures = [];
+            let rateLimited = false;
+
+            for (const [index, spec] of chain.entries()) {
+                try {
+                    const provider = await getProvider(spec);
+                    const result = await call(provider);
+                    return { ...result, provider: provider.name, model: provider.model };
+                } catch (error) {
+                    if (committed()) throw error;
+                    failures.push(`${spec}: ${error.message}`);
+                    rateLimited = rateLimited || this.isRateLimitError(error);
+                    const next = chain[index + 1];
+                    console.warn(`⚠️ LLM provider ${spec} failed for ${role}${next ? `, falling back to ${next}` : ""}: ${error.message}`);
+                }
+            }
+
+            if (!rateLimited || round >= MAX_RATE_LIMIT_ROUNDS) {
+                const error = new Error(`All LLM providers failed for ${role} (${failures.join("; ")})`);
+                error.rateLimited = rateLimited;
+                throw error;
+            }
+            const delay = round * BACKOFF_MS;
+            console.warn(`⚠️ LLM rate limit (429) for ${role}. Retrying attempt ${round}/${MAX_RATE_LIMIT_ROUNDS - 1} in ${delay / 1000}s...`);
+            await sleep(delay);
+        }
+    }
+}
+
+export default new LLMClient();
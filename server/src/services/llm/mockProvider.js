@@ -0,0 +1,104 @@
+import * as fs from "fs";
+import { respond } from "./mockResponses.js";
+
+// === CONFIGURATION ===
+// MOCK_LLM_LATENCY_MS: delay per call (spread over the tokens when streaming)
+// MOCK_LLM_FAIL_EVERY: every Nth call fails (0 = never), optionally only for the prompt kinds
+//   in MOCK_LLM_FAIL_KINDS (planner, researcher, queryPlan, rewrite, expansion, hypothetical, rag, repair)
+// MOCK_LLM_FAILURE: "error" (a 500) or "rate_limit" (a 429)
+// MOCK_LLM_RESPONSES: JSON file of canned replies, [{ "match": "regex", "kind"?: "planner",
+//   "response": "text" or a JSON value }], checked in order before the rules
+const STREAM_CHUNK_WORDS = 3;
+const REPAIR_REQUEST = /^Your reply could not be used/; // llmService.buildRepairPrompt
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Same rough estimate llmService uses: 1 token ≈ 4 characters
+const countTokens = (text) => Math.ceil(text.length / 4);
+
+// A scripted provider for tests and offline runs: it answers every prompt llmService builds
+// from rules (see mockResponses.js) or canned replies, reports usage like a real API and can
+// be made slow or flaky. Select it with LLM_MOCK=true, or list "mock" in a provider chain.
+class MockProvider {
+    constructor({ model }) {
+        this.name = "mock";
+        this.model = model;
+        this.calls = 0;
+        this.canned = null;
+    }
+
+    getCanned() {
+        if (!this.canned) {
+            const file = process.env.MOCK_LLM_RESPONSES;
+            this.canned = file
+                ? JSON.parse(fs.readFileSync(file, "utf-8")).map((entry) => ({ ...entry, pattern: new RegExp(entry.match, "i") }))
+                : [];
+        }
+        return this.canned;
+    }
+
+    async reply(prompt) {
+        const ruled = await respond(prompt);
+        const canned = this.getCanned().find((entry) => (!entry.kind || entry.kind === ruled.kind) && entry.pattern.test(prompt));
+        if (!canned) return ruled;
+        const text = typeof canned.response === "string" ? canned.response : JSON.stringify(canned.response);
+        return { kind: ruled.kind, text };
+    }
+
+    // Counts the calls of matching kinds, so MOCK_LLM_FAIL_EVERY=3 fails the 3rd, 6th, ... of them
+    maybeFail(kind) {
+        const kinds = (process.env.MOCK_LLM_FAIL_KINDS || "").split(",").map((value) => value.trim()).filter(Boolean);
+        if (kinds.length > 0 && !kinds.includes(kind)) return;
+        this.calls++;
+        const every = Math.floor(envNumber("MOCK_LLM_FAIL_EVERY", 0));
+        if (every < 1 || this.calls % every !== 0) return;
+
+        const rateLimited = process.env.MOCK_LLM_FAILURE === "rate_limit";
+        const error = new Error(rateLimited ? "429 Too Many Requests (injected by the mock LLM)" : `Mock LLM failure on call ${this.calls}`);
+        error.status = rateLimited ? 429 : 500;
+        throw error;
+    }
+
+    usageFor(messages, text) {
+        const promptTokens = countTokens(messages.map((message) => message.content).join("\n"));
+        const completionTokens = countTokens(text);
+        return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    // A repair request is answered by the rules for the conversation's original prompt, so a
+    // canned invalid reply is followed by a valid one
+    async prepare({ messages, maxTokens = 1024 }) {
+        const prompts = messages.filter((message) => message.role === "user").map((message) => message.content);
+        const latest = prompts[prompts.length - 1] || "";
+        const { kind, text } = REPAIR_REQUEST.test(latest)
+            ? { kind: "repair", text: (await respond(prompts[0])).text }
+            : await this.reply(latest);
+        this.maybeFail(kind);
+        // Like a real model, stop at the token limit
+        return text.slice(0, maxTokens * 4);
+    }
+
+    async chat(request) {
+        const text = await this.prepare(request);
+        await sleep(envNumber("MOCK_LLM_LATENCY_MS", 0));
+        return { text, usage: this.usageFor(request.messages, text) };
+    }
+
+    async stream(request, onToken) {
+        const text = await this.prepare(request);
+        const chunks = text.match(new RegExp(`(\\S+\\s*){1,${STREAM_CHUNK_WORDS}}|\\s+`, "g")) || [];
+        const delay = envNumber("MOCK_LLM_LATENCY_MS", 0) / Math.max(chunks.length, 1);
+        for (const chunk of chunks) {
+            await sleep(delay);
+            onToken(chunk);
+        }
+        return { text, usage: this.usageFor(request.messages, text) };
+    }
+}
+
+export default MockProvider;
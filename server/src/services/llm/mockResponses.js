@@ -0,0 +1,178 @@
+import filterExtractor from "../rag/filterExtractor.js";
+import { COMPUTED_MARKER } from "../rag/citations.js";
+
+// Rule-based answers for every prompt llmService builds, so the mock provider can stand in
+// for a real model: the prompt is recognised by its opening line and its inputs parsed back
+// out. Everything here is deterministic. Query plans come from keyword rules, RAG answers
+// repeat the top context line, and the researcher accepts a planner draft once it has
+// addressed earlier feedback.
+
+// Metric field per table for sum/avg/min/max questions
+const VALUE_FIELDS = {
+    orders: [[/\b(cogs|cost)\b/, "cogs_usd"], [/.*/, "price_usd"]],
+    order_items: [[/\b(cogs|cost)\b/, "cogs_usd"], [/.*/, "price_usd"]],
+    order_item_refunds: [[/.*/, "refund_amount_usd"]]
+};
+
+const FACET_FIELDS = {
+    orders: { productIds: "primary_product_id" },
+    order_items: { productIds: "product_id" },
+    order_item_refunds: { productIds: "product_id" },
+    products: { productIds: "product_id" },
+    website_sessions: { devices: "device_type", sources: "utm_source", campaigns: "utm_campaign" },
+    website_pageviews: {}
+};
+
+const GROUP_BY = [
+    [/\b(per|by|each) day\b|\bdaily\b/, "day"],
+    [/\b(per|by|each) month\b|\bmonthly\b/, "month"],
+    [/\b(per|by|each) year\b|\b(yearly|annual)\b/, "year"],
+    [/\b(per|by|each) device\b/, "device_type"],
+    [/\b(per|by|each) (source|channel)\b/, "utm_source"],
+    [/\b(per|by|each) campaign\b/, "utm_campaign"]
+];
+
+const toDate = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+const metricFor = (text, table) => {
+    const valueField = (VALUE_FIELDS[table] || []).find(([pattern]) => pattern.test(text))?.[1];
+    if (/\b(distinct|unique)\b.*\b(users?|customers?)\b/.test(text)) return { op: "count_distinct", field: "user_id" };
+    if (valueField && /\b(average|avg|mean)\b/.test(text)) return { op: "avg", field: valueField };
+    if (valueField && /\b(max(imum)?|highest|largest|biggest)\b/.test(text)) return { op: "max", field: valueField };
+    if (valueField && /\b(min(imum)?|lowest|smallest)\b/.test(text)) return { op: "min", field: valueField };
+    if (valueField && /\b(total|sum|revenue|how much|amount)\b/.test(text)) return { op: "sum", field: valueField };
+    return { op: "count" };
+};
+
+// The retriever pulls in the vector store, the embedding model and the reranker, so it is
+// only loaded by the RAG rules; the planner and researcher rules run without it
+const targetTable = async (userQuery) => {
+    const { default: retriever } = await import("../rag/retriever.js");
+    return retriever.selectTables(userQuery)[0];
+};
+
+const planQuery = async (userQuery) => {
+    const text = userQuery.toLowerCase();
+    const table = await targetTable(userQuery);
+    const facets = filterExtractor.extract(userQuery);
+
+    const filters = [];
+    if (facets.dateRange) {
+        const { from, to } = facets.dateRange;
+        if (from !== null && to !== null) filters.push({ field: "created_at", op: "between", value: [toDate(from), toDate(to)] });
+        else if (from !== null) filters.push({ field: "created_at", op: "gte", value: toDate(from) });
+        else if (to !== null) filters.push({ field: "created_at", op: "lt", value: toDate(to) });
+    }
+    for (const [facet, field] of Object.entries(FACET_FIELDS[table] || {})) {
+        if (facets[facet]) filters.push({ field, op: "in", value: facets[facet] });
+    }
+
+    const groupBy = GROUP_BY.filter(([pattern]) => pattern.test(text)).map(([, field]) => field);
+    const top = text.match(/\btop (\d+)\b/);
+
+    return {
+        table,
+        filters,
+        groupBy,
+        metric: metricFor(text, table),
+        order: top ? "desc" : null,
+        limit: top ? Number(top[1]) : null
+    };
+};
+
+const QUESTION_OPENER = /^(what|which|who|when|where|how|show|list|give|tell|find)\b.*?\b(is|was|were|are|of|for|me|many|much)\s+/i;
+
+// Paraphrases by dropping the question phrasing and by naming the table the question targets
+const expandQuery = async (userQuery, count) => {
+    const stripped = userQuery.trim().replace(/[?.!]+$/, "").replace(QUESTION_OPENER, "");
+    const table = await targetTable(userQuery);
+    const tableName = table.replace(/_/g, " ");
+    return [stripped, `${tableName} ${stripped}`, `${tableName} records: ${userQuery.trim()}`].slice(0, count);
+};
+
+// A "record" that only restates the question under the target table's name
+const writeHypotheticalRecord = async (userQuery) => {
+    const table = await targetTable(userQuery);
+    return `${table.replace(/_/g, " ")} record: ${userQuery.trim().replace(/[?.!]+$/, "")}`;
+};
+
+// Answers with the first computed value, or the top retrieved record, and cites it
+const answerFromContext = (context) => {
+    const computedMarker = `[${COMPUTED_MARKER}]`;
+    const lines = context.split("\n").filter(Boolean);
+    const computed = lines.find((line) => line.startsWith(computedMarker) && line.includes(" = "));
+    if (computed) {
+        return `${computed.slice(computedMarker.length).trim()} ${computedMarker}`;
+    }
+
+    const top = lines.find((line) => /^\[[a-z_]+:[^\]]+\]/.test(line));
+    if (!top) return "I couldn't find any relevant data to answer your question.";
+    const marker = top.match(/^\[[a-z_]+:[^\]]+\]/)[0];
+    return `${top.slice(marker.length).trim()} ${marker}`;
+};
+
+const MISSING_STEPS_ISSUE = "Add concrete next steps the user can act on";
+
+// A first draft outlines the answer; once there is feedback, each issue gets a next step
+const plannerResponse = (userQuery, issues) => {
+    const lines = [
+        `Plan for "${userQuery}":`,
+        "1. Pull the relevant orders, sessions and refunds for the period in question.",
+        "2. Compare the key metrics (orders, revenue, conversion rate, refund rate) against the previous period.",
+        "3. Break the change down by channel, device and product to find what drove it."
+    ];
+    if (issues.length > 0) {
+        lines.push("", "Next steps:", ...issues.map((issue) => `- ${issue}: addressed by tracking the metrics above weekly.`));
+    }
+    return lines.join("\n");
+};
+
+// A draft without next steps loses points on completeness and grounding
+const researcherEvaluation = (draft) => {
+    const issues = draft.includes("Next steps:") ? [] : [MISSING_STEPS_ISSUE];
+    const base = issues.length === 0 ? 9 : 7;
+    return {
+        planner_response_summary: draft.split("\n")[0].slice(0, 120),
+        issues,
+        scores: {
+            correctness: base,
+            completeness: issues.length === 0 ? 9 : 4,
+            clarity: base,
+            safety: 10,
+            relevance: base,
+            grounding: issues.length === 0 ? 8 : 5
+        },
+        is_satisfied: issues.length === 0
+    };
+};
+
+const quoted = (prompt, label) => prompt.match(new RegExp(`${label}: "(.*)"`))?.[1] ?? "";
+
+// [kind, opening line of the prompt, handler returning the response text]
+const RULES = [
+    ["planner", /^You are the Planner AI/, (prompt) => {
+        const issues = [...(prompt.split("Previous Issues to Address:\n")[1] || "").matchAll(/^\d+\. (.*)$/gm)].map((match) => match[1]);
+        return plannerResponse(quoted(prompt, "User Query"), issues);
+    }],
+    ["researcher", /^You are the Researcher AI/, (prompt) => {
+        const draft = prompt.match(/Planner's Response: "([\s\S]*)"\n\nScore the response/)?.[1] ?? "";
+        return JSON.stringify(researcherEvaluation(draft));
+    }],
+    ["queryPlan", /^You translate analytics questions/, async (prompt) => JSON.stringify(await planQuery(quoted(prompt, "User Question")))],
+    // Follow-ups are returned unchanged: the golden set holds standalone questions
+    ["rewrite", /^Rewrite the user's latest question/, (prompt) => quoted(prompt, "Latest Question")],
+    ["expansion", /^Rewrite a question about an e-commerce store's data in (\d+) different ways/, async (prompt, [, count]) =>
+        JSON.stringify({ queries: await expandQuery(quoted(prompt, "Question"), Number(count)) })],
+    ["hypothetical", /^Write one or two database records/, (prompt) => writeHypotheticalRecord(quoted(prompt, "Question"))],
+    ["rag", /^You are a helpful AI assistant for an e-commerce dashboard/, (prompt) =>
+        answerFromContext(prompt.match(/\nContext:\n([\s\S]*)\n\nUser Question: /)?.[1] ?? "")]
+];
+
+// Resolves to { kind, text } for a prompt; prompts no rule knows get a fixed reply
+export const respond = async (prompt) => {
+    for (const [kind, pattern, handler] of RULES) {
+        const match = prompt.match(pattern);
+        if (match) return { kind, text: await handler(prompt, match) };
+    }
+    return { kind: "unknown", text: "This is a mock response." };
+};
@@ -0,0 +1,84 @@
+const toUsage = (usage) =>
+    usage
+        ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens, totalTokens: usage.total_tokens }
+        : null;
+
+// Any server speaking the OpenAI chat completions API: Ollama, vLLM, LM Studio, llama.cpp.
+// Plain fetch, so no SDK is needed for a local model.
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, model }) {
+        this.name = "local";
+        this.baseUrl = baseUrl.replace(/\/+$/, "");
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    async post(body) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            const error = new Error(`${response.status} ${response.statusText}: ${(await response.text()).slice(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    buildRequest({ messages, temperature = 0.7, maxTokens = 1024, json = false }) {
+        return {
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...(json ? { response_format: { type: "json_object" } } : {})
+        };
+    }
+
+    async chat(request) {
+        const response = await this.post(this.buildRequest(request));
+        const completion = await response.json();
+        return {
+            text: completion.choices?.[0]?.message?.content || "",
+            usage: toUsage(completion.usage)
+        };
+    }
+
+    // Parses the server-sent events by hand; `include_usage` asks for a final usage chunk,
+    // which servers that do not support it simply skip
+    async stream(request, onToken) {
+        const response = await this.post({
+            ...this.buildRequest(request),
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        const decoder = new TextDecoder();
+        let buffer = "";
+        let text = "";
+        let usage = null;
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split("\n");
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, "").trim();
+                if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+                const chunk = JSON.parse(data);
+                if (chunk.usage) usage = toUsage(chunk.usage);
+                const token = chunk.choices?.[0]?.delta?.content || "";
+                if (!token) continue;
+                text += token;
+                onToken(token);
+            }
+        }
+        return { text, usage };
+    }
+}
+
+export default OpenAICompatibleProvider;
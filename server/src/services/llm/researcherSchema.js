@@ -0,0 +1,21 @@
+// The rubric the researcher scores every planner draft on, each dimension from 1 to 10
+export const RUBRIC_DIMENSIONS = ["correctness", "completeness", "clarity", "safety", "relevance", "grounding"];
+
+export const RESEARCHER_SCHEMA = {
+    type: "object",
+    required: ["planner_response_summary", "issues", "scores", "is_satisfied"],
+    properties: {
+        planner_response_summary: { type: "string" },
+        issues: { type: "array", items: { type: "string" } },
+        scores: {
+            type: "object",
+            required: RUBRIC_DIMENSIONS,
+            properties: Object.fromEntries(RUBRIC_DIMENSIONS.map((dimension) => [dimension, { type: "integer", minimum: 1, maximum: 10 }]))
+        },
+        is_satisfied: { type: "boolean" }
+    }
+};
+
+// Overall draft score: the rubric mean, to one decimal
+export const overallScore = (scores) =>
+    Math.round((RUBRIC_DIMENSIONS.reduce((sum, dimension) => sum + scores[dimension], 0) / RUBRIC_DIMENSIONS.length) * 10) / 10;
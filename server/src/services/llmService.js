@@ -0,0 +1,380 @@
+import llmClient from "./llm/llmClient.js";
+import { validateSchema } from "./llm/jsonSchema.js";
+import { RUBRIC_DIMENSIONS, RESEARCHER_SCHEMA, overallScore } from "./llm/researcherSchema.js";
+
+// === CONFIGURATION ===
+const DEFAULT_JSON_REPAIR_RETRIES = 2; // JSON_REPAIR_RETRIES: corrections asked for after an invalid JSON reply
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+const asUserMessage = (content) => [{ role: "user", content }];
+
+// Prompts and response parsing for every LLM call the app makes. Which provider answers is
+// decided per role (planner, researcher, rag) by the chains in ./llm; see llmClient.js.
+class LLMService {
+    // `schemaNotes`: data dictionary descriptions of the tables/fields the query mentions.
+    // With `onToken`, the draft is streamed and `onToken` is called for every delta.
+    async callPlanner(userQuery, previousIssues = [], schemaNotes = "", onToken = null) {
+        try {
+            const prompt = this.buildPlannerPrompt(userQuery, previousIssues, schemaNotes);
+            const request = {
+                messages: asUserMessage(prompt),
+                temperature: 0.7,
+                maxTokens: 2048
+            };
+            const completion = onToken
+                ? await llmClient.stream("planner", request, onToken)
+                : await llmClient.chat("planner", request);
+
+            const text = completion.text;
+
+            return {
+                response: text,
+                tokens: completion.usage?.totalTokens || this.estimateTokens(text)
+            };
+        } catch (error) {
+            console.error("Planner API Error:", error);
+            throw new Error(`Planner call failed: ${error.message}`);
+        }
+    }
+
+    // Returns the verdict with a 1-10 rubric in `scores` and their mean as `score`. If no
+    // attempt yields a valid verdict, the draft gets an unscored "parser error" verdict.
+    async callResearcher(userQuery, plannerResponse) {
+        try {
+            const prompt = this.buildResearcherPrompt(userQuery, plannerResponse);
+            const { value, tokens, repairs } = await this.completeJson("researcher", {
+                messages: asUserMessage(prompt),
+                temperature: 0.5,
+                maxTokens: 1024
+            }, RESEARCHER_SCHEMA);
+
+            if (!value) {
+                return {
+                    planner_response_summary: "Parser error",
+                    issues: ["Failed to parse researcher evaluation"],
+                    scores: null,
+                    score: null,
+                    is_satisfied: false,
+                    repairs,
+                    tokens
+                };
+            }
+            return { ...value, score: overallScore(value.scores), repairs, tokens };
+        } catch (error) {
+            console.error("Researcher API Error:", error);
+            throw new Error(`Researcher call failed: ${error.message}`);
+        }
+    }
+
+    buildPlannerPrompt(userQuery, previousIssues, schemaNotes = "") {
+        return `You are the Planner AI. Improve your response based on the researcher's feedback.
+
+User Query: "${userQuery}"
+${schemaNotes ? `\nThe query refers to the store's Maven Fuzzy Factory dataset. Field definitions:\n${schemaNotes}\n` : ""}
+${previousIssues.length > 0
+                ? `Previous Issues to Address:\n${previousIssues
+                    .map((issue, i) => `${i + 1}. ${issue}`)
+                    .join("\n")}`
+                : "No previous issues. Provide your best initial response."
+            }
+
+Provide a comprehensive, accurate, and helpful response to the user query.`;
+    }
+
+    buildResearcherPrompt(userQuery, plannerResponse) {
+        return `You are the Researcher AI. Evaluate the Planner's response.
+
+User Query: "${userQuery}"
+
+Planner's Response: "${plannerResponse}"
+
+Score the response from 1 (unusable) to 10 (nothing to improve) on each of:
+- correctness: facts, numbers and reasoning are right
+- completeness: every part of the query is answered
+- clarity: easy to follow and well organised
+- safety: no harmful, misleading or overconfident advice
+- relevance: stays on what the user asked
+- grounding: claims are backed by the data or stated assumptions, nothing invented
+
+Return ONLY JSON with this exact format:
+{
+  "planner_response_summary": "short summary",
+  "issues": ["issue1", "issue2"],
+  "scores": { ${RUBRIC_DIMENSIONS.map((dimension) => `"${dimension}": 7`).join(", ")} },
+  "is_satisfied": false
+}
+
+Every score is an integer from 1 to 10.
+If no issues, return empty issues array and is_satisfied: true.`;
+    }
+
+    // Parses the first JSON object in `text` and checks it against `schema`.
+    // Returns { value, errors }.
+    parseJson(text, schema) {
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) return { value: null, errors: ["no JSON object found"] };
+        try {
+            const value = JSON.parse(jsonMatch[0]);
+            return { value, errors: validateSchema(schema, value) };
+        } catch (error) {
+            return { value: null, errors: [`invalid JSON: ${error.message}`] };
+        }
+    }
+
+    // JSON-mode completion validated against `schema`. An invalid reply is sent back with its
+    // problems, up to JSON_REPAIR_RETRIES times. Resolves with { value, tokens, repairs };
+    // `value` is null when no attempt was valid and `tokens` covers every attempt.
+    async completeJson(role, request, schema) {
+        const maxRepairs = Math.max(0, Math.floor(envNumber("JSON_REPAIR_RETRIES", DEFAULT_JSON_REPAIR_RETRIES)));
+        const messages = [...request.messages];
+        let tokens = 0;
+
+        for (let repairs = 0; ; repairs++) {
+            const completion = await llmClient.chat(role, { ...request, messages, json: true });
+            tokens += completion.usage?.totalTokens || this.estimateTokens(completion.text);
+
+            const { value, errors } = this.parseJson(completion.text, schema);
+            if (errors.length === 0) return { value, tokens, repairs };
+            if (repairs >= maxRepairs) {
+                console.error(`Invalid ${role} JSON after ${repairs} repairs: ${errors.join("; ")}`);
+                return { value: null, tokens, repairs };
+            }
+
+            console.warn(`🔧 Invalid ${role} JSON (${errors.join("; ")}). Asking for a repair ${repairs + 1}/${maxRepairs}...`);
+            messages.push(
+                { role: "assistant", content: completion.text },
+                { role: "user", content: this.buildRepairPrompt(errors) }
+            );
+        }
+    }
+
+    buildRepairPrompt(errors) {
+        return `Your reply could not be used:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Return ONLY the corrected JSON, in the exact format requested above.`;
+    }
+
+    async planQuery(userQuery, schema, schemaNotes = "") {
+        try {
+            const prompt = this.buildQueryPlanPrompt(userQuery, schema, schemaNotes);
+            const completion = await llmClient.chat("rag", {
+                messages: asUserMessage(prompt),
+                temperature: 0,
+                maxTokens: 512,
+                json: true
+            });
+
+            const text = completion.text;
+            const jsonMatch = text.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) {
+                throw new Error("No valid JSON found in query plan response");
+            }
+            return JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            console.error("Query Planner API Error:", error);
+            throw new Error(`Query planning failed: ${error.message}`);
+        }
+    }
+
+    buildQueryPlanPrompt(userQuery, schema, schemaNotes = "") {
+        return `You translate analytics questions about an e-commerce store into a structured query.
+
+Tables and columns:
+${schema}
+${schemaNotes ? `\nField definitions from the data dictionary:\n${schemaNotes}\n` : ""}
+User Question: "${userQuery}"
+
+Return ONLY JSON with this exact format:
+{
+  "table": "orders",
+  "filters": [{ "field": "created_at", "op": "between", "value": ["2012-03-01", "2012-04-01"] }],
+  "groupBy": [],
+  "metric": { "op": "sum", "field": "price_usd" },
+  "order": null,
+  "limit": null
+}
+
+Rules:
+- "table" must be one of the tables above; use only its columns.
+- filter ops: eq, ne, in, nin, gt, gte, lt, lte, between. "in"/"nin" take an array; "between" takes [from, to) with the end exclusive.
+- Dates are "YYYY-MM-DD" and filter on "created_at". "March 2012" is ["2012-03-01", "2012-04-01"].
+- groupBy may contain columns or the time buckets "year", "month", "day".
+- metric ops: count, count_distinct, sum, avg, min, max. "count" needs no field.
+- Revenue is sum(price_usd) on orders; refunds are on order_item_refunds.refund_amount_usd.
+- "order" is "asc", "desc" or null; "limit" caps the number of groups (e.g. top 5).`;
+    }
+
+    async rewriteQuery(userQuery, history) {
+        try {
+            const prompt = this.buildRewritePrompt(userQuery, history);
+            const completion = await llmClient.chat("rag", {
+                messages: asUserMessage(prompt),
+                temperature: 0,
+                maxTokens: 200
+            });
+
+            const text = completion.text.trim();
+            return text.replace(/^["']|["']$/g, "") || userQuery;
+        } catch (error) {
+            console.error("Query Rewrite API Error:", error);
+            throw new Error(`Query rewrite failed: ${error.message}`);
+        }
+    }
+
+    buildRewritePrompt(userQuery, history) {
+        return `Rewrite the user's latest question about an e-commerce dashboard as a standalone question.
+Resolve pronouns and relative references ("it", "that product", "the month after", "what about mobile?") using the conversation.
+Keep concrete values (dates, product names, ids, sources, devices) explicit. If the question is already standalone, return it unchanged.
+
+Conversation:
+${history.map((turn) => `${turn.role === "user" ? "User" : "Assistant"}: ${turn.content}`).join("\n")}
+
+Latest Question: "${userQuery}"
+
+Return ONLY the rewritten question, with no explanation.`;
+    }
+
+    // Returns up to `count` alternative phrasings of the question for multi-query retrieval
+    async expandQuery(userQuery, count = 3) {
+        try {
+            const prompt = this.buildExpansionPrompt(userQuery, count);
+            const completion = await llmClient.chat("rag", {
+                messages: asUserMessage(prompt),
+                temperature: 0.7,
+                maxTokens: 300,
+                json: true
+            });
+
+            const text = completion.text;
+            const jsonMatch = text.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) {
+                throw new Error("No valid JSON found in query expansion response");
+            }
+            const { queries } = JSON.parse(jsonMatch[0]);
+            return (Array.isArray(queries) ? queries : [])
+                .filter((query) => typeof query === "string" && query.trim())
+                .map((query) => query.trim())
+                .slice(0, count);
+        } catch (error) {
+            console.error("Query Expansion API Error:", error);
+            throw new Error(`Query expansion failed: ${error.message}`);
+        }
+    }
+
+    buildExpansionPrompt(userQuery, count) {
+        return `Rewrite a question about an e-commerce store's data in ${count} different ways for a search engine.
+Vary the wording and use the store's vocabulary (orders, order items, refunds, products, website sessions, pageviews, utm source/campaign, device type).
+Keep every concrete value (dates, ids, product names, sources, devices) from the original.
+
+Question: "${userQuery}"
+
+Return ONLY JSON with this exact format:
+{ "queries": ["rewrite 1", "rewrite 2"] }`;
+    }
+
+    // HyDE: a made-up record that would answer the question. Its embedding lands near the
+    // real records, which short questions often do not.
+    async writeHypotheticalRecord(userQuery) {
+        try {
+            const prompt = this.buildHypotheticalRecordPrompt(userQuery);
+            const completion = await llmClient.chat("rag", {
+                messages: asUserMessage(prompt),
+                temperature: 0.3,
+                maxTokens: 200
+            });
+
+            return completion.text.trim();
+        } catch (error) {
+            console.error("Hypothetical Record API Error:", error);
+            throw new Error(`Hypothetical record generation failed: ${error.message}`);
+        }
+    }
+
+    buildHypotheticalRecordPrompt(userQuery) {
+        return `Write one or two database records, in the style below, that would answer the question.
+Invent plausible values where you must; they are only used to search for the real records.
+
+Record styles:
+Order 57 placed March 19, 2012 for The Original Mr. Fuzzy at $49.99 (cost $19.49), 1 item, by user 20 from a gsearch nonbrand session, refunded $49.99.
+Refund 12 issued April 6, 2012 for $49.99 on order 57, item 57 (The Original Mr. Fuzzy).
+Website session 1042 started March 20, 2012 by user 980 (new visitor) from gsearch nonbrand (ad g_ad_1) on mobile, did not convert.
+Product 2, The Forever Love Bear, launched January 6, 2013.
+
+Question: "${userQuery}"
+
+Return ONLY the records.`;
+    }
+
+    // `schemaNotes` are data dictionary lines ("orders.price_usd: ...") for fields the question
+    // touches; they explain the context but are not citable
+    buildRagPrompt(userQuery, context, { schemaNotes = "" } = {}) {
+        return `You are a helpful AI assistant for an e-commerce dashboard.
+Use the following context to answer the user's question.
+Each context line starts with a citation marker naming its source table and record id, e.g. [orders:57] or [website_sessions:1042].
+Lines tagged [computed] are exact results calculated over the full dataset; report those numbers as-is.
+If the answer is not in the context, say you don't know, but try to be helpful based on the data provided.
+
+Citation rules:
+- After every fact you state, cite the record(s) it came from by copying their markers exactly, e.g. "Order 57 was refunded [order_item_refunds:12]."
+- Cite numbers taken from [computed] lines with [computed].
+- Only cite markers that appear in the context. Never invent record ids.
+
+${schemaNotes ? `Field definitions (from the data dictionary; use them to interpret the context, never cite them):\n${schemaNotes}\n\n` : ""}Context:
+${context}
+
+User Question: ${userQuery}
+
+Answer:`;
+    }
+
+    async ragGenerate(userQuery, context, options = {}) {
+        const { text } = await this.ragComplete(userQuery, context, options);
+        return text;
+    }
+
+    // ragGenerate plus the token usage ({ promptTokens, completionTokens, totalTokens }, or null
+    // if the provider reports none) and which provider/model answered
+    async ragComplete(userQuery, context, options = {}) {
+        try {
+            const prompt = this.buildRagPrompt(userQuery, context, options);
+            const { text, usage, provider, model } = await llmClient.chat("rag", {
+                messages: asUserMessage(prompt),
+                temperature: 0.7,
+                maxTokens: 1024
+            });
+            return { text: text || "No response generated.", usage, provider, model };
+        } catch (error) {
+            console.error("RAG Generation Error:", error);
+            throw new Error(`RAG generation failed: ${error.message}`);
+        }
+    }
+
+    // Same prompt as ragGenerate, but calls `onToken` for every streamed delta and resolves
+    // with the full text. Provider fallback only happens before the first token arrives.
+    async ragGenerateStream(userQuery, context, onToken, options = {}) {
+        try {
+            const prompt = this.buildRagPrompt(userQuery, context, options);
+            const { text } = await llmClient.stream("rag", {
+                messages: asUserMessage(prompt),
+                temperature: 0.7,
+                maxTokens: 1024
+            }, onToken);
+            return text || "No response generated.";
+        } catch (error) {
+            console.error("RAG Streaming Error:", error);
+            throw new Error(`RAG generation failed: ${error.message}`);
+        }
+    }
+
+    estimateTokens(text) {
+        // Rough estimation: 1 token ≈ 4 characters for English text
+        return Math.ceil(text.length / 4);
+    }
+}
+
+export default new LLMService();
@@ -0,0 +1,82 @@
+import { tokenize } from "./rag/keywordIndex.js";
+
+// === CONFIGURATION ===
+// PLANNER_MAX_ITERATIONS and PLANNER_TOKEN_BUDGET (0 = no budget) are the defaults; a request
+// can lower or raise them with `maxIterations` / `maxTokens`, up to MAX_ITERATIONS_LIMIT.
+const DEFAULT_MAX_ITERATIONS = 10;
+const MAX_ITERATIONS_LIMIT = 20;
+const DEFAULT_TOKEN_BUDGET = 0;
+const ISSUE_SIMILARITY = 0.8; // Token Jaccard above which two issues count as the same issue
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+const jaccard = (a, b) => {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared++;
+    return shared / (a.size + b.size - shared);
+};
+
+// Convergence control for the planner-researcher loop in chatController.sendMessage: budgets,
+// spotting a researcher that keeps raising the same issues, and picking the draft to return
+// when the researcher is never satisfied.
+class PlannerLoop {
+    // Returns { budgets: { maxIterations, maxTokens } } or { error } for invalid overrides.
+    // maxTokens 0 means no token budget.
+    getBudgets({ maxIterations, maxTokens } = {}) {
+        const budgets = {
+            maxIterations: maxIterations ?? Math.floor(envNumber("PLANNER_MAX_ITERATIONS", DEFAULT_MAX_ITERATIONS)),
+            maxTokens: maxTokens ?? Math.floor(envNumber("PLANNER_TOKEN_BUDGET", DEFAULT_TOKEN_BUDGET))
+        };
+        if (!Number.isInteger(budgets.maxIterations) || budgets.maxIterations < 1 || budgets.maxIterations > MAX_ITERATIONS_LIMIT) {
+            return { error: `maxIterations must be an integer between 1 and ${MAX_ITERATIONS_LIMIT}` };
+        }
+        if (!Number.isInteger(budgets.maxTokens) || budgets.maxTokens < 0) {
+            return { error: "maxTokens must be a non-negative integer" };
+        }
+        return { budgets };
+    }
+
+    // Stops before an iteration that would likely overrun the token budget, judging by the
+    // average cost of the iterations so far
+    exceedsTokenBudget(candidates, maxTokens) {
+        if (!maxTokens || candidates.length === 0) return false;
+        const used = candidates.reduce((sum, candidate) => sum + candidate.tokens, 0);
+        return used + used / candidates.length > maxTokens;
+    }
+
+    sameIssues(a, b) {
+        if (a.length === 0 || a.length !== b.length) return false;
+        const tokensB = b.map((issue) => new Set(tokenize(issue)));
+        return a.every((issue) => {
+            const tokens = new Set(tokenize(issue));
+            return tokensB.some((other) => jaccard(tokens, other) >= ISSUE_SIMILARITY);
+        });
+    }
+
+    // "repeated_issues" when the latest verdict raises the same issues as the one before it,
+    // "oscillating_issues" when it brings back the issues of an earlier iteration, else null
+    detectStall(candidates) {
+        if (candidates.length < 2) return null;
+        const latest = candidates[candidates.length - 1].issues;
+        if (this.sameIssues(latest, candidates[candidates.length - 2].issues)) return "repeated_issues";
+        if (candidates.slice(0, -2).some((candidate) => this.sameIssues(latest, candidate.issues))) return "oscillating_issues";
+        return null;
+    }
+
+    // The highest-scoring draft; ties go to fewer issues, then to the later draft
+    selectBest(candidates) {
+        return candidates.reduce((best, candidate) => {
+            if (!best) return candidate;
+            const score = candidate.score ?? 0;
+            const bestScore = best.score ?? 0;
+            if (score !== bestScore) return score > bestScore ? candidate : best;
+            return candidate.issues.length <= best.issues.length ? candidate : best;
+        }, null);
+    }
+}
+
+export default new PlannerLoop();
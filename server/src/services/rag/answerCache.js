@@ -0,0 +1,159 @@
+import embeddingService from "../embeddingService.js";
+import filterExtractor from "./filterExtractor.js";
+import { getDataVersion } from "./datasets.js";
+import { getIndexVersion } from "./indexManifest.js";
+
+// === CONFIGURATION ===
+// ANSWER_CACHE_ENABLED=false turns the cache off
+const DEFAULT_THRESHOLD = 0.95; // Cosine similarity between standalone questions
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTL_HOURS = 24;
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+const cosine = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return dot / ((Math.sqrt(normA) * Math.sqrt(normB)) || 1);
+};
+
+// Questions that differ only in a year, an id or a product embed almost identically
+// ("revenue in 2012" vs "revenue in 2013"), so similarity alone is not enough: the numbers,
+// extracted filters and retrieval options must match exactly too.
+const signatureOf = (query, { topK, weights, rerank, expansion }) => JSON.stringify({
+    numbers: (query.match(/\d+(\.\d+)?/g) || []).sort(),
+    filters: filterExtractor.describe(filterExtractor.extract(query)),
+    topK,
+    weights: weights || null,
+    rerank: rerank ?? null,
+    expansion: expansion ?? null
+});
+
+// Answers are only valid for the data, index build and embedding model they were produced from
+const sourceVersion = () =>
+    `${getDataVersion()}:${getIndexVersion()}:${embeddingService.getModel().name}`;
+
+// Semantic cache in front of askAI: a new (standalone) question reuses a prior answer when
+// its embedding is close enough, its signature matches and neither the data nor the index
+// has changed since.
+// Entries live in memory; the oldest are evicted first.
+class AnswerCache {
+    constructor() {
+        this.entries = [];
+        this.stats = { hits: 0, misses: 0, stores: 0, evictions: 0, invalidations: 0, purged: 0 };
+    }
+
+    isEnabled() {
+        return process.env.ANSWER_CACHE_ENABLED !== "false";
+    }
+
+    getConfig() {
+        return {
+            threshold: envNumber("ANSWER_CACHE_THRESHOLD", DEFAULT_THRESHOLD),
+            maxEntries: envNumber("ANSWER_CACHE_MAX_ENTRIES", DEFAULT_MAX_ENTRIES),
+            ttlMs: envNumber("ANSWER_CACHE_TTL_HOURS", DEFAULT_TTL_HOURS) * 60 * 60 * 1000
+        };
+    }
+
+    // Drops entries built from older data or an older index, or past their TTL
+    prune(version, ttlMs) {
+        const now = Date.now();
+        const before = this.entries.length;
+        this.entries = this.entries.filter(
+            (entry) => entry.version === version && now - entry.createdAt < ttlMs
+        );
+        this.stats.invalidations += before - this.entries.length;
+    }
+
+    // Returns { response, similarity, question, cachedAt } or null
+    async lookup(query, options = {}) {
+        if (!this.isEnabled()) return null;
+        const { threshold, ttlMs } = this.getConfig();
+        this.prune(sourceVersion(), ttlMs);
+
+        const signature = signatureOf(query, options);
+        const candidates = this.entries.filter((entry) => entry.signature === signature);
+        if (candidates.length === 0) {
+            this.stats.misses++;
+            return null;
+        }
+
+        const vector = await embeddingService.getEmbedding(query);
+        let best = null;
+        for (const entry of candidates) {
+            const similarity = cosine(vector, entry.vector);
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { entry, similarity };
+            }
+        }
+
+        if (!best) {
+            this.stats.misses++;
+            return null;
+        }
+
+        this.stats.hits++;
+        best.entry.hits++;
+        console.log(`♻️ Answer cache hit (${best.similarity.toFixed(3)}) for "${query}" ← "${best.entry.question}"`);
+        return {
+            response: best.entry.response,
+            similarity: best.similarity,
+            question: best.entry.question,
+            cachedAt: new Date(best.entry.createdAt).toISOString()
+        };
+    }
+
+    // `response` is the client-facing payload (answer, citations and the describe() fields)
+    async store(query, options, response) {
+        if (!this.isEnabled()) return;
+        const { maxEntries } = this.getConfig();
+
+        const vector = await embeddingService.getEmbedding(query);
+        this.entries.push({
+            question: query,
+            signature: signatureOf(query, options),
+            vector,
+            response,
+            version: sourceVersion(),
+            createdAt: Date.now(),
+            hits: 0
+        });
+        this.stats.stores++;
+
+        while (this.entries.length > maxEntries) {
+            this.entries.shift();
+            this.stats.evictions++;
+        }
+    }
+
+    purge() {
+        const purged = this.entries.length;
+        this.entries = [];
+        this.stats.purged += purged;
+        return purged;
+    }
+
+    getStats() {
+        const { hits, misses } = this.stats;
+        return {
+            enabled: this.isEnabled(),
+            ...this.getConfig(),
+            entries: this.entries.length,
+            ...this.stats,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            dataVersion: getDataVersion(),
+            indexVersion: getIndexVersion()
+        };
+    }
+}
+
+export default new AnswerCache();
@@ -0,0 +1,60 @@
+import { TABLES } from "./datasets.js";
+
+// Every context line starts with a marker naming its record, e.g. [orders:57] or
+// [website_sessions:1042]. Exact results from the query engine use [computed].
+export const COMPUTED_MARKER = "computed";
+
+export const citationMarker = (table, id) => `${table}:${id}`;
+
+const MARKER_PATTERN = /\[([a-z_]+:[A-Za-z0-9_.-]+|computed)\]/g;
+// Models sometimes group markers: [orders:57, orders:58] → [orders:57][orders:58]
+const GROUPED_PATTERN = /\[((?:[a-z_]+:[A-Za-z0-9_.-]+\s*[,;]\s*)+[a-z_]+:[A-Za-z0-9_.-]+)\]/g;
+
+// Finds the markers the LLM used, keeps only those that were actually in the context and
+// numbers them in order of first appearance. Valid markers stay in the answer text so the
+// client can link them; unknown markers are stripped.
+export const resolveCitations = (answer, matches = [], { computed = null } = {}) => {
+    const known = new Map(matches.map((match) => [citationMarker(match.table, match.id), match]));
+    const citations = [];
+    const seen = new Set();
+    const invalid = [];
+
+    const text = String(answer || "")
+        .replace(GROUPED_PATTERN, (whole, list) => list.split(/\s*[,;]\s*/).map((m) => `[${m}]`).join(""))
+        .replace(MARKER_PATTERN, (whole, marker) => {
+        const isComputed = marker === COMPUTED_MARKER && computed;
+        if (!isComputed && !known.has(marker)) {
+            if (!invalid.includes(marker)) invalid.push(marker);
+            return "";
+        }
+
+        if (!seen.has(marker)) {
+            seen.add(marker);
+            if (isComputed) {
+                citations.push({ n: citations.length + 1, marker, type: "computed", ...computed });
+            } else {
+                const match = known.get(marker);
+                citations.push({
+                    n: citations.length + 1,
+                    marker,
+                    type: "record",
+                    table: match.table,
+                    id: match.id,
+                    idField: TABLES[match.table]?.idField,
+                    record: match.metadata
+                });
+            }
+        }
+        return whole;
+    });
+
+    if (invalid.length > 0) {
+        console.warn(`⚠️ Dropped ${invalid.length} citation(s) not present in context: ${invalid.join(", ")}`);
+    }
+
+    return {
+        answer: text.replace(/[ \t]+([.,;:!?])/g, "$1").replace(/[ \t]{2,}/g, " ").trim(),
+        citations,
+        invalidCitations: invalid
+    };
+};
@@ -0,0 +1,122 @@
+import { tokenize } from "./keywordIndex.js";
+
+// === CONFIGURATION ===
+// A lookup abstains (the LLM is not called) when every available retrieval signal for its
+// best match is below its threshold. Override with ABSTAIN_MIN_VECTOR_SCORE,
+// ABSTAIN_MIN_RERANK_SCORE and CONFIDENCE_LOW_THRESHOLD.
+const DEFAULT_MIN_VECTOR_SCORE = 0.3; // Cosine similarity of the best vector match
+const DEFAULT_MIN_RERANK_SCORE = 0.1; // Cross-encoder relevance of the best reranked match
+const DEFAULT_LOW_CONFIDENCE = 0.5; // Answers scoring below this are flagged as low confidence
+const HIGH_CONFIDENCE = 0.75;
+const RETRIEVAL_WEIGHT = 0.6; // The rest of the score comes from answer/context overlap
+
+export const ABSTAIN_ANSWER =
+    "I couldn't find records relevant enough to answer that confidently. Try naming a specific order, product, date or channel.";
+
+// Words that say nothing about whether an answer is grounded
+const STOPWORDS = new Set([
+    "the", "and", "for", "was", "were", "are", "is", "with", "that", "this", "from", "has", "had",
+    "have", "there", "their", "which", "what", "when", "who", "how", "not", "but", "its", "into",
+    "than", "then", "also", "based", "data", "provided", "context", "record", "records", "total",
+    "answer", "question", "you", "your", "can", "could", "would", "about"
+]);
+
+const MARKER_PATTERN = /\[[^\]]*\]/g;
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// Tokens worth checking against the context: numbers ("1,234" → 1234) and non-stopwords of 3+ letters
+const contentTokens = (text) =>
+    tokenize(String(text || "").replace(MARKER_PATTERN, " ").replace(/(\d),(?=\d{3})/g, "$1"))
+        .filter((token) => /^\d/.test(token) || (token.length >= 3 && !STOPWORDS.has(token)));
+
+class Confidence {
+    getThresholds() {
+        return {
+            minVectorScore: envNumber("ABSTAIN_MIN_VECTOR_SCORE", DEFAULT_MIN_VECTOR_SCORE),
+            minRerankScore: envNumber("ABSTAIN_MIN_RERANK_SCORE", DEFAULT_MIN_RERANK_SCORE),
+            lowConfidence: envNumber("CONFIDENCE_LOW_THRESHOLD", DEFAULT_LOW_CONFIDENCE)
+        };
+    }
+
+    // Best calibrated scores among the matches that made it into context. BM25 scores are
+    // unbounded and are not used; computed (aggregate) results are exact.
+    retrievalSignals(prepared) {
+        if (prepared.type === "aggregate") return { computed: true };
+        const best = (values) => {
+            const present = values.filter((value) => typeof value === "number");
+            return present.length > 0 ? Math.max(...present) : null;
+        };
+        return {
+            vector: best((prepared.matches || []).map((match) => match.scores?.vector)),
+            rerank: best((prepared.matches || []).map((match) => match.rerankScore))
+        };
+    }
+
+    // Called before generation. Returns { abstain, reason }.
+    shouldAbstain(prepared) {
+        if (prepared.type === "aggregate" || !prepared.matches?.length) return { abstain: false, reason: null };
+
+        const { minVectorScore, minRerankScore } = this.getThresholds();
+        const { vector, rerank } = this.retrievalSignals(prepared);
+        const weak = [];
+        if (vector !== null) {
+            if (vector >= minVectorScore) return { abstain: false, reason: null };
+            weak.push(`best vector score ${vector.toFixed(3)} < ${minVectorScore}`);
+        }
+        if (rerank !== null) {
+            if (rerank >= minRerankScore) return { abstain: false, reason: null };
+            weak.push(`best rerank score ${rerank.toFixed(3)} < ${minRerankScore}`);
+        }
+        // Keyword-only retrieval has no calibrated score to judge
+        return weak.length > 0 ? { abstain: true, reason: weak.join("; ") } : { abstain: false, reason: null };
+    }
+
+    // Share of the answer's content tokens that also appear in the context (null if it has none)
+    overlap(answer, context) {
+        const tokens = contentTokens(answer);
+        if (tokens.length === 0) return null;
+        const available = new Set(tokenize(context));
+        return tokens.filter((token) => available.has(token)).length / tokens.length;
+    }
+
+    // { score, level, low, retrieval, overlap, abstained, reason } for the client. `score` blends
+    // the strongest retrieval signal with answer/context overlap; whichever is missing is skipped.
+    assess(prepared, answer, { abstained = false, reason = null } = {}) {
+        const { lowConfidence } = this.getThresholds();
+        const signals = this.retrievalSignals(prepared);
+        let retrieval = null;
+        if (abstained) {
+            retrieval = 0;
+        } else if (signals.computed) {
+            retrieval = 1;
+        } else {
+            const present = [signals.vector, signals.rerank].filter((value) => value !== null);
+            if (present.length > 0) retrieval = Math.max(...present);
+        }
+        const overlap = abstained || !prepared.context ? null : this.overlap(answer, prepared.context);
+
+        let score;
+        if (retrieval === null && overlap === null) score = 0;
+        else if (retrieval === null) score = overlap;
+        else if (overlap === null) score = retrieval;
+        else score = RETRIEVAL_WEIGHT * retrieval + (1 - RETRIEVAL_WEIGHT) * overlap;
+
+        return {
+            score: round(score),
+            level: score >= HIGH_CONFIDENCE ? "high" : score >= lowConfidence ? "medium" : "low",
+            low: score < lowConfidence,
+            retrieval: round(retrieval),
+            overlap: round(overlap),
+            abstained,
+            reason
+        };
+    }
+}
+
+export default new Confidence();
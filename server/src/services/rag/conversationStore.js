@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import Session from "../../models/session.js";
+import Message from "../../models/message.js";
+
+// How many earlier messages are handed to the query rewriter
+const HISTORY_LIMIT = 6;
+
+// Persists AskAI conversations with the same Session/Message models the planner chat uses
+class ConversationStore {
+    // Returns the user's AskAI session, creating one when `sessionId` is missing or not theirs
+    async getOrCreateSession(userId, sessionId, firstQuestion) {
+        if (sessionId && mongoose.isValidObjectId(sessionId)) {
+            const session = await Session.findOne({ _id: sessionId, userId, kind: "askai" });
+            if (session) return session;
+        }
+        return Session.create({
+            userId,
+            title: firstQuestion.slice(0, 60),
+            status: "active",
+            kind: "askai"
+        });
+    }
+
+    // Most recent messages, oldest first
+    async getHistory(sessionId, limit = HISTORY_LIMIT) {
+        const messages = await Message.find({ sessionId })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit)
+            .select("role content");
+        return messages.reverse().map(({ role, content }) => ({ role, content }));
+    }
+
+    async saveTurn(session, userId, { question, answer, prepared, citations, confidence }) {
+        await Message.create({
+            sessionId: session._id,
+            userId,
+            content: question,
+            role: "user"
+        });
+        const assistantMessage = await Message.create({
+            sessionId: session._id,
+            userId,
+            content: answer,
+            role: "assistant",
+            ragData: {
+                standaloneQuery: prepared?.query || question,
+                queryType: prepared?.type || "",
+                tables: prepared?.tables || [],
+                citations: citations || [],
+                confidence: confidence || null
+            }
+        });
+        await Session.findByIdAndUpdate(session._id, { lastMessageAt: new Date() });
+        return assistantMessage;
+    }
+
+    async getMessages(userId, sessionId) {
+        if (!mongoose.isValidObjectId(sessionId)) return null;
+        const session = await Session.findOne({ _id: sessionId, userId, kind: "askai" });
+        if (!session) return null;
+
+        const messages = await Message.find({ sessionId })
+            .sort({ createdAt: 1, _id: 1 })
+            .select("content role createdAt ragData");
+        return { session, messages };
+    }
+}
+
+export default new ConversationStore();
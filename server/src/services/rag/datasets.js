@@ -0,0 +1,246 @@
+import * as fs from "fs";
+import * as path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { LruCache } from "../embedding/embeddingCache.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The Maven Fuzzy Factory exports shipped with the dashboard (override with DATA_DIR)
+const DEFAULT_DATA_DIR = path.join(__dirname, "../../../../client/public/data");
+
+export const getDataDir = () => process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+// One entry per table: where it lives, which namespace it is indexed into, its primary key,
+// the columns worth showing in context, and words that route a question to it.
+export const TABLES = {
+    orders: {
+        file: "orders.json",
+        namespace: "orders-ns",
+        idField: "order_id",
+        columns: [
+            "order_id",
+            "created_at",
+            "website_session_id",
+            "user_id",
+            "primary_product_id",
+            "items_purchased",
+            "price_usd",
+            "cogs_usd"
+        ],
+        keywords: [
+            "order", "orders", "revenue", "sales", "sold", "aov", "purchase", "purchases",
+            "purchased", "bought", "buyer", "buyers", "customer", "customers", "cogs", "margin",
+            "profit", "basket"
+        ]
+    },
+    order_items: {
+        file: "order_items.json",
+        namespace: "order-items-ns",
+        idField: "order_item_id",
+        columns: [
+            "order_item_id",
+            "created_at",
+            "order_id",
+            "product_id",
+            "is_primary_item",
+            "price_usd",
+            "cogs_usd"
+        ],
+        keywords: [
+            "item", "items", "line", "primary", "cross-sell", "cross sell", "attach", "units",
+            "quantity", "product sold", "products sold"
+        ]
+    },
+    order_item_refunds: {
+        file: "order_item_refunds.json",
+        namespace: "refunds-ns",
+        idField: "order_item_refund_id",
+        columns: [
+            "order_item_refund_id",
+            "created_at",
+            "order_item_id",
+            "order_id",
+            "refund_amount_usd",
+            "product_id"
+        ],
+        keywords: [
+            "refund", "refunds", "refunded", "return", "returns", "returned", "chargeback",
+            "defect", "defective", "quality"
+        ]
+    },
+    products: {
+        file: "products.json",
+        namespace: "products-ns",
+        idField: "product_id",
+        columns: ["product_id", "created_at", "product_name"],
+        keywords: [
+            "product", "products", "catalog", "launch", "launched", "bear", "bears", "panda",
+            "fuzzy", "mr. fuzzy", "love bear", "sugar panda", "mini bear", "hudson"
+        ]
+    },
+    website_sessions: {
+        file: "website_sessions.json",
+        namespace: "sessions-ns",
+        idField: "website_session_id",
+        columns: [
+            "website_session_id",
+            "created_at",
+            "user_id",
+            "is_repeat_session",
+            "utm_source",
+            "utm_campaign",
+            "utm_content",
+            "device_type",
+            "http_referer"
+        ],
+        keywords: [
+            "session", "sessions", "traffic", "visit", "visits", "visitor", "visitors", "utm",
+            "source", "sources", "campaign", "campaigns", "channel", "channels", "gsearch",
+            "bsearch", "socialbook", "nonbrand", "brand", "device", "devices", "mobile",
+            "desktop", "referer", "referrer", "repeat", "marketing", "paid", "organic"
+        ]
+    },
+    website_pageviews: {
+        file: "website_pageviews.json",
+        namespace: "pageviews-ns",
+        idField: "website_pageview_id",
+        columns: ["website_pageview_id", "created_at", "website_session_id", "pageview_url"],
+        keywords: [
+            "pageview", "pageviews", "page view", "page views", "page", "pages", "url", "urls",
+            "landing", "lander", "funnel", "bounce", "bounced", "checkout", "cart", "billing",
+            "shipping", "thank-you", "clickthrough", "click-through"
+        ]
+    }
+};
+
+export const TABLE_NAMES = Object.keys(TABLES);
+
+// Describes every table and field: [{ table, field, description }]
+export const DATA_DICTIONARY_FILE = "maven_fuzzy_factory_data_dictionary.json";
+
+// Parsed tables kept in memory (DATA_TABLE_CACHE_SIZE); the largest are hundreds of MB
+const DEFAULT_TABLE_CACHE_SIZE = 3;
+let cache = null;
+
+// Loads a whole table from the data directory. Tables are memoized in a small LRU and
+// re-read when their file changes. The parse is synchronous, so the API server runs query
+// plans, which scan the large tables, on a worker thread (see queryRunner.js).
+export const loadTable = (table) => {
+    if (!TABLES[table]) throw new Error(`Unknown table: ${table}`);
+    if (!cache) {
+        const size = parseInt(process.env.DATA_TABLE_CACHE_SIZE, 10);
+        cache = new LruCache(isNaN(size) ? DEFAULT_TABLE_CACHE_SIZE : size);
+    }
+
+    const filePath = path.join(getDataDir(), TABLES[table].file);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = cache.get(table);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.rows;
+
+    const rows = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    cache.set(table, { rows, mtimeMs });
+    return rows;
+};
+
+let dataDictionary = null;
+
+// Loads (and memoizes) the data dictionary, skipping entries without a table or field
+export const loadDataDictionary = () => {
+    if (!dataDictionary) {
+        const filePath = path.join(getDataDir(), DATA_DICTIONARY_FILE);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        dataDictionary = JSON.parse(fs.readFileSync(filePath, "utf-8"))
+            .map(({ table, field, description }) => ({
+                table: String(table || "").trim(),
+                field: String(field || "").trim(),
+                description: String(description || "").trim()
+            }))
+            .filter((entry) => entry.table && entry.field);
+    }
+    return dataDictionary;
+};
+
+// Changes whenever any table file is replaced or edited (size + mtime), so anything derived
+// from the data, like cached answers, can tell it is stale
+export const getDataVersion = () => {
+    const hash = createHash("sha256");
+    for (const table of TABLE_NAMES) {
+        const filePath = path.join(getDataDir(), TABLES[table].file);
+        const stat = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+        hash.update(`${table}:${stat ? `${stat.size}:${stat.mtimeMs}` : "missing"};`);
+    }
+    return hash.digest("hex").slice(0, 16);
+};
+
+export const recordId = (table, row, fallbackIndex) => {
+    const id = row[TABLES[table].idField];
+    return id === undefined || id === null || id === ""
+        ? `${table}-${fallbackIndex}`
+        : String(id);
+};
+
+// Dataset timestamps have no zone ("2012-03-19 08:04:16"); they are treated as UTC
+export const parseTimestamp = (value) => {
+    if (!value) return null;
+    const text = String(value).trim();
+    const ms = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(text)
+        ? Date.parse(`${text.replace(" ", "T")}${text.length > 10 ? "Z" : ""}`)
+        : Date.parse(text);
+    return isNaN(ms) ? null : Math.floor(ms / 1000);
+};
+
+// Refunds carry no product; resolve it through order_items so they can be filtered by product
+let refundProducts = null;
+const lookupRefundProduct = (orderItemId) => {
+    if (!refundProducts) {
+        refundProducts = new Map(
+            loadTable("order_items").map((item) => [String(item.order_item_id), item.product_id])
+        );
+    }
+    return refundProducts.get(String(orderItemId));
+};
+
+export const enrichRow = (table, row) => {
+    if (table === "order_item_refunds" && row.product_id === undefined) {
+        return { ...row, product_id: lookupRefundProduct(row.order_item_id) };
+    }
+    return row;
+};
+
+// Pinecone rejects null metadata values, so they are dropped, and its filters are type-strict,
+// so numeric strings are stored as numbers. `created_ts` (unix seconds) makes dates filterable
+// with numeric range operators.
+export const toMetadata = (table, row) => {
+    const metadata = { table };
+    for (const [key, value] of Object.entries(enrichRow(table, row))) {
+        if (value === null || value === undefined || value === "") continue;
+        if (typeof value === "object") {
+            metadata[key] = JSON.stringify(value);
+        } else if (typeof value === "string" && key !== "created_at" && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+            metadata[key] = Number(value);
+        } else {
+            metadata[key] = value;
+        }
+    }
+    const createdTs = parseTimestamp(row.created_at);
+    if (createdTs !== null) metadata.created_ts = createdTs;
+    return metadata;
+};
+
+// One context line, prefixed with a [table:id] marker so the LLM knows what it is reading and
+// can cite the record it used
+export const formatRecord = (table, metadata = {}, id = metadata[TABLES[table]?.idField]) => {
+    const columns = TABLES[table]?.columns || Object.keys(metadata);
+    const fields = columns
+        .filter((column) => metadata[column] !== undefined)
+        .map((column) => `${column}: ${metadata[column]}`)
+        .join(", ");
+    return `[${table}:${id}] ${fields}`;
+};
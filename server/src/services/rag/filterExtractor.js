@@ -0,0 +1,243 @@
+import { loadTable, parseTimestamp } from "./datasets.js";
+
+const MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+    jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+    oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+const DEVICES = { mobile: "mobile", desktop: "desktop" };
+
+const SOURCES = {
+    gsearch: "gsearch", google: "gsearch",
+    bsearch: "bsearch", bing: "bsearch",
+    socialbook: "socialbook", facebook: "socialbook"
+};
+
+// "nonbrand" must be tested before "brand"
+const CAMPAIGNS = [
+    [/\bnon[\s-]?brand(ed)?\b/, "nonbrand"],
+    [/\bbrand(ed)?\b/, "brand"],
+    [/\bpilot\b/, "pilot"],
+    [/\bdesktop[\s_]targeted\b/, "desktop_targeted"]
+];
+
+// Which metadata field carries each facet, per table. Facets a table lacks are not applied to it.
+const FIELD_MAP = {
+    orders: { product: "primary_product_id" },
+    order_items: { product: "product_id" },
+    order_item_refunds: { product: "product_id" },
+    products: { product: "product_id" },
+    website_sessions: { device: "device_type", source: "utm_source", campaign: "utm_campaign" },
+    website_pageviews: {}
+};
+
+// Metadata fields toMetadataFilter can reference for a table (the keyword index keeps only these)
+export const filterFields = (table) => ["created_ts", ...Object.values(FIELD_MAP[table] || {})];
+
+const pad = (n) => String(n).padStart(2, "0");
+const utc = (year, month, day = 1) => Date.UTC(year, month - 1, day) / 1000;
+
+// Every date mention in the text as { start, end, index } with `end` exclusive (unix seconds)
+const findDateMentions = (text) => {
+    const mentions = [];
+    const taken = [];
+    const claim = (match, start, end) => {
+        const from = match.index;
+        const to = match.index + match[0].length;
+        if (taken.some(([a, b]) => from < b && to > a)) return;
+        taken.push([from, to]);
+        mentions.push({ start, end, index: from, text: match[0] });
+    };
+
+    for (const m of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+        const start = parseTimestamp(m[0]);
+        if (start !== null) claim(m, start, start + 86400);
+    }
+    for (const m of text.matchAll(/\bq([1-4])\s*(\d{4})\b/g)) {
+        const q = Number(m[1]);
+        claim(m, utc(Number(m[2]), q * 3 - 2), utc(Number(m[2]), q * 3 + 1));
+    }
+    const monthNames = Object.keys(MONTHS).join("|");
+    for (const m of text.matchAll(new RegExp(`\\b(${monthNames})\\.?\\s+(\\d{1,2})(st|nd|rd|th)?,?\\s+(\\d{4})\\b`, "g"))) {
+        const start = utc(Number(m[4]), MONTHS[m[1]], Number(m[2]));
+        claim(m, start, start + 86400);
+    }
+    for (const m of text.matchAll(new RegExp(`\\b(${monthNames})\\.?,?\\s+(\\d{4})\\b`, "g"))) {
+        const month = MONTHS[m[1]];
+        claim(m, utc(Number(m[2]), month), utc(Number(m[2]), month + 1));
+    }
+    for (const m of text.matchAll(/\b(20[0-9]{2}|19[0-9]{2})\b/g)) {
+        claim(m, utc(Number(m[1]), 1), utc(Number(m[1]) + 1, 1));
+    }
+
+    return mentions.sort((a, b) => a.index - b.index);
+};
+
+const toDateLabel = (ts) => {
+    const d = new Date(ts * 1000);
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+class FilterExtractor {
+    constructor() {
+        this.productNames = null;
+    }
+
+    // Product names come from products.json; [] when the file is unavailable
+    getProductNames() {
+        if (!this.productNames) {
+            try {
+                this.productNames = loadTable("products").map((p) => ({
+                    id: Number(p.product_id),
+                    name: p.product_name,
+                    patterns: this.productPatterns(p.product_name)
+                }));
+            } catch (error) {
+                console.warn(`⚠️ Product names unavailable for filter extraction: ${error.message}`);
+                this.productNames = [];
+            }
+        }
+        return this.productNames;
+    }
+
+    // "The Original Mr. Fuzzy" matches "the original mr fuzzy" or just "mr fuzzy"
+    productPatterns(name) {
+        const words = String(name).toLowerCase().replace(/[^a-z0-9\s]/g, "").split(/\s+/).filter(Boolean);
+        const full = words.filter((w, i) => !(i === 0 && w === "the")).join(" ");
+        const tail = words.slice(-2).join(" ");
+        return [...new Set([full, tail])].filter(Boolean);
+    }
+
+    extractDateRange(text) {
+        const mentions = findDateMentions(text);
+        if (mentions.length === 0) return null;
+
+        const first = mentions[0];
+        const last = mentions[mentions.length - 1];
+        const before = text.slice(Math.max(0, first.index - 12), first.index);
+
+        let from = Math.min(...mentions.map((m) => m.start));
+        let to = Math.max(...mentions.map((m) => m.end));
+        if (mentions.length === 1 && /\b(before|until|prior to)\s*$/.test(before)) {
+            from = null;
+            to = first.start;
+        } else if (mentions.length === 1 && /\bafter\s*$/.test(before)) {
+            from = first.end;
+            to = null;
+        } else if (mentions.length === 1 && /\bsince\s*$/.test(before)) {
+            from = first.start;
+            to = null;
+        }
+
+        return {
+            from,
+            to,
+            label: mentions.length > 1 ? `${first.text} – ${last.text}` : first.text
+        };
+    }
+
+    extractProducts(text) {
+        const ids = new Set();
+        for (const m of text.matchAll(/\bproducts?\s*(?:id\s*)?#?\s*(\d+(?:\s*(?:,|and|&)\s*#?\d+)*)/g)) {
+            m[1].match(/\d+/g).forEach((id) => ids.add(Number(id)));
+        }
+        const normalized = text.replace(/[^a-z0-9\s]/g, "");
+        for (const product of this.getProductNames()) {
+            if (product.patterns.some((pattern) => normalized.includes(pattern))) ids.add(product.id);
+        }
+        return [...ids].sort((a, b) => a - b);
+    }
+
+    extractFromMap(text, map) {
+        const found = new Set();
+        for (const [word, value] of Object.entries(map)) {
+            if (new RegExp(`\\b${word}\\b`).test(text)) found.add(value);
+        }
+        return [...found];
+    }
+
+    extractCampaigns(text) {
+        const found = [];
+        let rest = text;
+        for (const [pattern, value] of CAMPAIGNS) {
+            if (pattern.test(rest)) {
+                found.push(value);
+                rest = rest.replace(new RegExp(pattern.source, "g"), " ");
+            }
+        }
+        return found;
+    }
+
+    // Parses the question into table-independent facets
+    extract(query) {
+        const text = query.toLowerCase();
+        const facets = {};
+
+        const dateRange = this.extractDateRange(text);
+        if (dateRange) facets.dateRange = dateRange;
+
+        const productIds = this.extractProducts(text);
+        if (productIds.length > 0) facets.productIds = productIds;
+
+        const devices = this.extractFromMap(text, DEVICES);
+        if (devices.length > 0) facets.devices = devices;
+
+        const sources = this.extractFromMap(text, SOURCES);
+        if (sources.length > 0) facets.sources = sources;
+
+        const campaigns = this.extractCampaigns(text);
+        if (campaigns.length > 0) facets.campaigns = campaigns;
+
+        return facets;
+    }
+
+    // Translates facets into a Pinecone-style metadata filter for one table
+    toMetadataFilter(facets, table) {
+        const fields = FIELD_MAP[table] || {};
+        const clauses = [];
+
+        if (facets.dateRange) {
+            const range = {};
+            if (facets.dateRange.from !== null) range.$gte = facets.dateRange.from;
+            if (facets.dateRange.to !== null) range.$lt = facets.dateRange.to;
+            clauses.push({ created_ts: range });
+        }
+        if (facets.productIds && fields.product) {
+            clauses.push({ [fields.product]: { $in: facets.productIds } });
+        }
+        if (facets.devices && fields.device) {
+            clauses.push({ [fields.device]: { $in: facets.devices } });
+        }
+        if (facets.sources && fields.source) {
+            clauses.push({ [fields.source]: { $in: facets.sources } });
+        }
+        if (facets.campaigns && fields.campaign) {
+            clauses.push({ [fields.campaign]: { $in: facets.campaigns } });
+        }
+
+        if (clauses.length === 0) return undefined;
+        return clauses.length === 1 ? clauses[0] : { $and: clauses };
+    }
+
+    // Human-readable summary echoed back to the client
+    describe(facets) {
+        const applied = [];
+        if (facets.dateRange) {
+            const { from, to, label } = facets.dateRange;
+            applied.push({
+                type: "date",
+                label,
+                from: from !== null ? toDateLabel(from) : null,
+                to: to !== null ? toDateLabel(to) : null
+            });
+        }
+        if (facets.productIds) applied.push({ type: "product", values: facets.productIds });
+        if (facets.devices) applied.push({ type: "device", values: facets.devices });
+        if (facets.sources) applied.push({ type: "source", values: facets.sources });
+        if (facets.campaigns) applied.push({ type: "campaign", values: facets.campaigns });
+        return applied;
+    }
+}
+
+export default new FilterExtractor();
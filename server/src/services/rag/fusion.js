@@ -0,0 +1,31 @@
+// Weighted reciprocal-rank fusion: score(d) = Σ weight_list / (k + rank_list(d)).
+// Only ranks matter, so cosine similarities and BM25 scores can be combined directly.
+export const DEFAULT_RRF_K = 60;
+
+export const reciprocalRankFusion = (lists, { k = DEFAULT_RRF_K } = {}) => {
+    const fused = new Map();
+
+    for (const { name, matches, weight = 1 } of lists) {
+        if (!weight) continue;
+        matches.forEach((match, rank) => {
+            const key = `${match.table}:${match.id}`;
+            if (!fused.has(key)) {
+                fused.set(key, {
+                    id: match.id,
+                    table: match.table,
+                    metadata: match.metadata,
+                    score: 0,
+                    scores: {},
+                    ranks: {}
+                });
+            }
+            const entry = fused.get(key);
+            entry.score += weight / (k + rank + 1);
+            entry.scores[name] = match.score;
+            entry.ranks[name] = rank + 1;
+            entry.metadata = entry.metadata || match.metadata;
+        });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+};
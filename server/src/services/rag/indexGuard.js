@@ -0,0 +1,96 @@
+import embeddingService from "../embeddingService.js";
+import { getVectorStore } from "../vectorStore/index.js";
+import { TABLES, TABLE_NAMES } from "./datasets.js";
+import { SCHEMA_NAMESPACE } from "./schemaContext.js";
+
+export const INDEX_MODEL_MISMATCH = "INDEX_MODEL_MISMATCH";
+
+// A failed check is re-run after this long, so re-indexing does not need a server restart
+const RECHECK_AFTER_MS = 60 * 1000;
+
+// Vectors from one model are meaningless against an index built with another. The indexer
+// stamps `embedding_model` on every vector; this compares the index's dimension and a sampled
+// record per namespace (the tables and the data dictionary) against the configured model, once
+// at startup and before queries.
+class IndexGuard {
+    constructor() {
+        this.result = null;
+        this.checkedAt = 0;
+        this.inFlight = null;
+    }
+
+    async inspect() {
+        const model = embeddingService.getModel();
+        const store = getVectorStore();
+        const stats = await store.stats();
+        const problems = [];
+
+        if (stats.dimension && stats.dimension !== model.dimension) {
+            problems.push(`index dimension is ${stats.dimension}, ${model.name} produces ${model.dimension}`);
+            return { ok: false, model: model.name, problems };
+        }
+
+        // Any unit vector of the right size will do to fetch one record per namespace
+        const probe = new Array(model.dimension).fill(0);
+        probe[0] = 1;
+
+        const namespaces = [...TABLE_NAMES.map((table) => TABLES[table].namespace), SCHEMA_NAMESPACE];
+        for (const namespace of namespaces) {
+            if (!stats.namespaces[namespace]?.recordCount) continue;
+
+            const { matches } = await store.query(namespace, { vector: probe, topK: 1, includeMetadata: true });
+            const sample = matches[0];
+            const indexedWith = sample?.metadata?.embedding_model;
+            if (!indexedWith) {
+                console.warn(`⚠️ ${namespace} has no embedding_model metadata (indexed before the model registry); re-index to verify it`);
+            } else if (indexedWith !== model.name) {
+                problems.push(`${namespace} was indexed with ${indexedWith}`);
+            }
+        }
+
+        return { ok: problems.length === 0, model: model.name, problems };
+    }
+
+    // Runs (or re-uses) the check and never throws. A check that cannot run (e.g. Pinecone is
+    // unreachable) reports `ok: null` and is retried on the next call rather than cached.
+    async verify() {
+        const stale = this.result && !this.result.ok && Date.now() - this.checkedAt > RECHECK_AFTER_MS;
+        if (this.result && !stale) return this.result;
+
+        if (!this.inFlight) {
+            this.inFlight = this.inspect()
+                .then((result) => {
+                    this.result = result;
+                    this.checkedAt = Date.now();
+                    if (result.ok) {
+                        console.log(`✅ Vector index matches embedding model ${result.model}`);
+                    } else {
+                        console.error(`❌ Vector index does not match the embedding model: ${result.problems.join("; ")}`);
+                    }
+                    return result;
+                })
+                .catch((error) => {
+                    console.warn(`⚠️ Could not verify the vector index: ${error.message}`);
+                    return { ok: null, model: null, problems: [error.message] };
+                })
+                .finally(() => {
+                    this.inFlight = null;
+                });
+        }
+        return this.inFlight;
+    }
+
+    async assertCompatible() {
+        const result = await this.verify();
+        if (result.ok !== false) return;
+
+        const error = new Error(
+            `Refusing to query: the vector index was not built with ${result.model || "the configured model"} ` +
+            `(${result.problems.join("; ")}). Re-run indexOrders.js with the same EMBEDDING_MODEL.`
+        );
+        error.code = INDEX_MODEL_MISMATCH;
+        throw error;
+    }
+}
+
+export default new IndexGuard();
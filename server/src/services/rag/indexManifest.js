@@ -0,0 +1,90 @@
+import * as fs from "fs";
+import * as path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STATE_PATH = path.join(__dirname, "../../../.indexstate");
+
+export const getIndexStateDir = () => process.env.INDEX_STATE_PATH || DEFAULT_STATE_PATH;
+
+// Hash of everything that ends up in the vector store for a row, so an unchanged row
+// can be skipped without re-embedding it
+export const contentHash = (text, metadata) =>
+    createHash("sha256")
+        .update(text)
+        .update("\u0000")
+        .update(JSON.stringify(metadata))
+        .digest("hex")
+        .slice(0, 16);
+
+// Changes whenever the indexer finishes (or checkpoints) a run over any namespace, including
+// template changes, a new embedding model and --force runs, so anything derived from the
+// index, like cached answers, can tell it is stale
+export const getIndexVersion = () => {
+    const dir = getIndexStateDir();
+    const hash = createHash("sha256");
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => file.endsWith(".json")).sort() : [];
+    for (const file of files) {
+        const stat = fs.statSync(path.join(dir, file));
+        hash.update(`${file}:${stat.size}:${stat.mtimeMs};`);
+    }
+    return hash.digest("hex").slice(0, 16);
+};
+
+// What the indexer has committed to one namespace: a content hash per vector id, plus
+// a checkpoint while a run is in progress so a crashed run can pick up where it stopped.
+//   <namespace>.json - { namespace, hashes: { id: hash }, checkpoint, lastRun }
+export class IndexManifest {
+    constructor(namespace, dir = getIndexStateDir()) {
+        this.namespace = namespace;
+        this.filePath = path.join(dir, `${namespace}.json`);
+        this.hashes = new Map();
+        this.checkpoint = null; // { nextRow, totalRows, limit, startedAt, updatedAt }
+        this.lastRun = null;
+    }
+
+    static load(namespace, dir = getIndexStateDir()) {
+        const manifest = new IndexManifest(namespace, dir);
+        if (!fs.existsSync(manifest.filePath)) return manifest;
+
+        const { hashes, checkpoint, lastRun } = JSON.parse(fs.readFileSync(manifest.filePath, "utf-8"));
+        manifest.hashes = new Map(Object.entries(hashes || {}));
+        manifest.checkpoint = checkpoint || null;
+        manifest.lastRun = lastRun || null;
+        return manifest;
+    }
+
+    isUnchanged(id, hash) {
+        return this.hashes.get(String(id)) === hash;
+    }
+
+    commit(entries) {
+        for (const { id, hash } of entries) this.hashes.set(String(id), hash);
+    }
+
+    forget(ids) {
+        for (const id of ids) this.hashes.delete(String(id));
+    }
+
+    // A checkpoint is only honoured when the run looks like the one that was interrupted
+    resumeRow(totalRows, limit) {
+        const { checkpoint } = this;
+        if (!checkpoint || checkpoint.totalRows !== totalRows || checkpoint.limit !== limit) return 0;
+        return Math.min(checkpoint.nextRow, totalRows);
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const data = {
+            namespace: this.namespace,
+            hashes: Object.fromEntries(this.hashes),
+            checkpoint: this.checkpoint,
+            lastRun: this.lastRun
+        };
+        fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    }
+}
@@ -0,0 +1,133 @@
+import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { matchesFilter } from "../vectorStore/metadataFilter.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_INDEX_PATH = path.join(__dirname, "../../../.keywordindex");
+
+// BM25 parameters (standard Okapi defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+export const getKeywordIndexDir = () => process.env.KEYWORD_INDEX_PATH || DEFAULT_INDEX_PATH;
+
+// Lowercased alphanumeric runs, so "Order #57" → ["order", "57"] and "gsearch" stays whole
+export const tokenize = (text) => String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// BM25 inverted index for one namespace. Documents are kept as term-frequency maps so they
+// can be replaced or removed; postings are rebuilt lazily before the next search.
+export class KeywordIndex {
+    constructor(namespace) {
+        this.namespace = namespace;
+        this.docs = new Map(); // id -> { terms: { term: tf }, length, metadata (filter fields only) }
+        this.postings = null;
+    }
+
+    add(id, text, metadata = {}) {
+        const terms = {};
+        const tokens = tokenize(text);
+        for (const token of tokens) terms[token] = (terms[token] || 0) + 1;
+        this.docs.set(String(id), { terms, length: tokens.length, metadata });
+        this.postings = null;
+    }
+
+    remove(id) {
+        this.docs.delete(String(id));
+        this.postings = null;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    buildPostings() {
+        const postings = new Map();
+        let totalLength = 0;
+        for (const [id, doc] of this.docs) {
+            totalLength += doc.length;
+            for (const [term, tf] of Object.entries(doc.terms)) {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push([id, tf]);
+            }
+        }
+        this.postings = postings;
+        this.avgLength = this.docs.size > 0 ? totalLength / this.docs.size : 0;
+    }
+
+    search(query, { topK = 5, filter } = {}) {
+        if (!this.postings) this.buildPostings();
+
+        const total = this.docs.size;
+        const scores = new Map();
+        for (const term of new Set(tokenize(query))) {
+            const list = this.postings.get(term);
+            if (!list) continue;
+
+            const idf = Math.log(1 + (total - list.length + 0.5) / (list.length + 0.5));
+            for (const [id, tf] of list) {
+                const { length } = this.docs.get(id);
+                const norm = tf + K1 * (1 - B + (B * length) / (this.avgLength || 1));
+                scores.set(id, (scores.get(id) || 0) + (idf * tf * (K1 + 1)) / norm);
+            }
+        }
+
+        const matches = [];
+        for (const [id, score] of scores) {
+            const { metadata } = this.docs.get(id);
+            if (!matchesFilter(metadata, filter)) continue;
+            matches.push({ id, score, metadata });
+        }
+        matches.sort((a, b) => b.score - a.score);
+        return matches.slice(0, topK);
+    }
+
+    save(dir = getKeywordIndexDir()) {
+        fs.mkdirSync(dir, { recursive: true });
+        const filePath = path.join(dir, `${this.namespace}.json`);
+        const docs = [...this.docs].map(([id, doc]) => [id, doc.terms, doc.length, doc.metadata]);
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify({ namespace: this.namespace, docs }));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    static load(namespace, dir = getKeywordIndexDir()) {
+        const index = new KeywordIndex(namespace);
+        const filePath = path.join(dir, `${namespace}.json`);
+        if (!fs.existsSync(filePath)) return index;
+
+        const { docs } = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+        for (const [id, terms, length, metadata] of docs) {
+            index.docs.set(id, { terms, length, metadata });
+        }
+        return index;
+    }
+}
+
+const loaded = new Map(); // namespace -> { index, mtimeMs }
+
+// Cached per namespace for the server and reloaded when the indexer rewrites the file.
+// Returns null (uncached, so a later build is picked up) when the indexer has not built one.
+export const getKeywordIndex = (namespace) => {
+    const filePath = path.join(getKeywordIndexDir(), `${namespace}.json`);
+    let mtimeMs;
+    try {
+        mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        loaded.delete(namespace);
+        return null;
+    }
+
+    const cached = loaded.get(namespace);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.index;
+
+    const index = KeywordIndex.load(namespace);
+    if (index.size === 0) {
+        loaded.delete(namespace);
+        return null;
+    }
+    loaded.set(namespace, { index, mtimeMs });
+    return index;
+};
@@ -0,0 +1,198 @@
+import { TABLES, enrichRow, loadTable, parseTimestamp } from "./datasets.js";
+
+// Executes structured queries produced by the query planner against a whole table.
+//
+// Plan shape:
+// {
+//   table: "orders",
+//   filters: [{ field: "created_at", op: "between", value: ["2012-03-01", "2012-04-01"] }],
+//   groupBy: ["month"],                       // table columns or "year" | "month" | "day"
+//   metric: { op: "sum", field: "price_usd" }, // count | count_distinct | sum | avg | min | max
+//   order: "desc",                             // optional, sorts groups by value
+//   limit: 10                                  // optional, caps the number of groups
+// }
+
+export const METRIC_OPS = ["count", "count_distinct", "sum", "avg", "min", "max"];
+export const FILTER_OPS = ["eq", "ne", "in", "nin", "gt", "gte", "lt", "lte", "between"];
+export const TIME_BUCKETS = ["year", "month", "day"];
+
+const MAX_GROUPS = 100;
+
+const isDateField = (field) => field === "created_at";
+
+// Dates compare as unix seconds, numeric strings as numbers, everything else as lowercase text
+const normalize = (field, value) => {
+    if (value === null || value === undefined) return null;
+    if (isDateField(field)) return parseTimestamp(value);
+    if (typeof value === "number" || typeof value === "boolean") return Number(value);
+    const text = String(value).trim();
+    if (text !== "" && !isNaN(Number(text))) return Number(text);
+    return text.toLowerCase();
+};
+
+const testFilter = (row, { field, op, value }) => {
+    const actual = normalize(field, row[field]);
+    const list = Array.isArray(value) ? value.map((v) => normalize(field, v)) : [];
+    const expected = Array.isArray(value) ? null : normalize(field, value);
+
+    switch (op) {
+        case "eq":
+            return actual === expected;
+        case "ne":
+            return actual !== expected;
+        case "in":
+            return list.includes(actual);
+        case "nin":
+            return !list.includes(actual);
+        case "gt":
+            return actual !== null && actual > expected;
+        case "gte":
+            return actual !== null && actual >= expected;
+        case "lt":
+            return actual !== null && actual < expected;
+        case "lte":
+            return actual !== null && actual <= expected;
+        case "between":
+            // Half-open range: [from, to)
+            return actual !== null && actual >= list[0] && actual < list[1];
+        default:
+            return false;
+    }
+};
+
+const groupKey = (row, field) => {
+    if (TIME_BUCKETS.includes(field)) {
+        const date = String(row.created_at || "");
+        if (field === "year") return date.slice(0, 4);
+        if (field === "month") return date.slice(0, 7);
+        return date.slice(0, 10);
+    }
+    const value = row[field];
+    return value === null || value === undefined ? "(none)" : String(value);
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const aggregate = (rows, { op, field }) => {
+    if (op === "count") return rows.length;
+    if (op === "count_distinct") return new Set(rows.map((row) => String(row[field]))).size;
+
+    const values = rows.map((row) => Number(row[field])).filter((value) => !isNaN(value));
+    if (values.length === 0) return null;
+
+    switch (op) {
+        case "sum":
+            return round(values.reduce((sum, value) => sum + value, 0));
+        case "avg":
+            return round(values.reduce((sum, value) => sum + value, 0) / values.length);
+        // reduce rather than Math.min(...values): tables can exceed the argument limit
+        case "min":
+            return round(values.reduce((min, value) => (value < min ? value : min), Infinity));
+        case "max":
+            return round(values.reduce((max, value) => (value > max ? value : max), -Infinity));
+        default:
+            return null;
+    }
+};
+
+// Returns a list of problems; an empty list means the plan can be executed
+export const validatePlan = (plan) => {
+    const errors = [];
+    if (!plan || typeof plan !== "object") return ["Plan must be an object"];
+
+    const table = TABLES[plan.table];
+    if (!table) return [`Unknown table: ${plan.table}`];
+
+    const fields = new Set(table.columns);
+    for (const filter of plan.filters || []) {
+        if (!fields.has(filter.field)) errors.push(`Unknown filter field: ${filter.field}`);
+        if (!FILTER_OPS.includes(filter.op)) errors.push(`Unknown filter op: ${filter.op}`);
+        if (["in", "nin"].includes(filter.op) && !Array.isArray(filter.value)) {
+            errors.push(`Filter "${filter.op}" on ${filter.field} needs an array value`);
+        }
+        if (filter.op === "between" && !(Array.isArray(filter.value) && filter.value.length === 2)) {
+            errors.push(`Filter "between" on ${filter.field} needs a [from, to] value`);
+        }
+    }
+    for (const field of plan.groupBy || []) {
+        if (!fields.has(field) && !TIME_BUCKETS.includes(field)) {
+            errors.push(`Unknown groupBy field: ${field}`);
+        }
+    }
+    if (!plan.metric || !METRIC_OPS.includes(plan.metric.op)) {
+        errors.push(`Unknown metric op: ${plan.metric?.op}`);
+    } else if (plan.metric.op !== "count" && !fields.has(plan.metric.field)) {
+        errors.push(`Unknown metric field: ${plan.metric.field}`);
+    }
+    return errors;
+};
+
+export const executePlan = (plan) => {
+    const errors = validatePlan(plan);
+    if (errors.length > 0) {
+        throw new Error(`Invalid query plan: ${errors.join("; ")}`);
+    }
+
+    const filters = plan.filters || [];
+    const groupBy = plan.groupBy || [];
+    const rows = loadTable(plan.table)
+        .map((row) => enrichRow(plan.table, row))
+        .filter((row) => filters.every((f) => testFilter(row, f)));
+
+    if (groupBy.length === 0) {
+        return {
+            matchedRows: rows.length,
+            groups: [{ key: {}, value: aggregate(rows, plan.metric) }]
+        };
+    }
+
+    const buckets = new Map();
+    for (const row of rows) {
+        const key = groupBy.map((field) => groupKey(row, field));
+        const id = key.join("\u0000");
+        if (!buckets.has(id)) buckets.set(id, { key, rows: [] });
+        buckets.get(id).rows.push(row);
+    }
+
+    let groups = [...buckets.values()].map(({ key, rows: groupRows }) => ({
+        key: Object.fromEntries(groupBy.map((field, i) => [field, key[i]])),
+        value: aggregate(groupRows, plan.metric)
+    }));
+
+    if (plan.order === "asc" || plan.order === "desc") {
+        const direction = plan.order === "asc" ? 1 : -1;
+        groups.sort((a, b) => direction * ((a.value ?? -Infinity) - (b.value ?? -Infinity)));
+    } else {
+        groups.sort((a, b) => Object.values(a.key).join().localeCompare(Object.values(b.key).join()));
+    }
+
+    const limit = Math.min(plan.limit || MAX_GROUPS, MAX_GROUPS);
+    return {
+        matchedRows: rows.length,
+        totalGroups: groups.length,
+        groups: groups.slice(0, limit)
+    };
+};
+
+// Renders a plan and its result as context lines for ragGenerate
+export const formatResult = (plan, result) => {
+    const metric = plan.metric.op === "count"
+        ? "count(*)"
+        : `${plan.metric.op}(${plan.metric.field})`;
+    const filters = (plan.filters || [])
+        .map((f) => `${f.field} ${f.op} ${JSON.stringify(f.value)}`)
+        .join(" AND ");
+
+    const lines = [
+        `[computed] Exact result over the full ${plan.table} table (${result.matchedRows} matching rows)`,
+        `[computed] Metric: ${metric}${filters ? `, Filters: ${filters}` : ""}${plan.groupBy?.length ? `, Grouped by: ${plan.groupBy.join(", ")}` : ""}`
+    ];
+    for (const group of result.groups) {
+        const key = Object.entries(group.key).map(([k, v]) => `${k}: ${v}`).join(", ");
+        lines.push(`[computed] ${key ? `${key} → ` : ""}${metric} = ${group.value ?? "n/a"}`);
+    }
+    if (result.totalGroups > result.groups.length) {
+        lines.push(`[computed] (${result.totalGroups - result.groups.length} more groups omitted)`);
+    }
+    return lines.join("\n");
+};
@@ -0,0 +1,57 @@
+import llmService from "../llmService.js";
+
+// === CONFIGURATION ===
+// "multi-query" retrieves for LLM paraphrases of the question, "hyde" for a hypothetical
+// record that would answer it, "both" for both; everything is fused with the plain results.
+// RETRIEVAL_EXPANSION sets the default; requests pick a mode with `expansion`.
+export const EXPANSION_MODES = ["none", "multi-query", "hyde", "both"];
+const DEFAULT_PARAPHRASES = 3;
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+class QueryExpander {
+    getMode(override) {
+        const mode = override ?? process.env.RETRIEVAL_EXPANSION ?? "none";
+        if (EXPANSION_MODES.includes(mode)) return mode;
+        console.warn(`⚠️ Unknown retrieval expansion "${mode}", using plain retrieval`);
+        return "none";
+    }
+
+    // Returns { mode, paraphrases, hypothetical }. Each generation fails soft: retrieval still
+    // runs on the question itself.
+    async expand(query, mode) {
+        const expansion = { mode, paraphrases: [], hypothetical: null };
+        if (mode === "none") return expansion;
+
+        const tasks = [];
+        if (mode === "multi-query" || mode === "both") {
+            const count = Math.max(1, Math.floor(envNumber("EXPANSION_QUERIES", DEFAULT_PARAPHRASES)));
+            tasks.push(
+                llmService.expandQuery(query, count)
+                    .then((paraphrases) => {
+                        const original = query.trim().toLowerCase();
+                        expansion.paraphrases = [...new Set(paraphrases)].filter((text) => text.toLowerCase() !== original);
+                    })
+                    .catch((error) => console.warn(`⚠️ Multi-query expansion failed: ${error.message}`))
+            );
+        }
+        if (mode === "hyde" || mode === "both") {
+            tasks.push(
+                llmService.writeHypotheticalRecord(query)
+                    .then((text) => {
+                        expansion.hypothetical = text || null;
+                    })
+                    .catch((error) => console.warn(`⚠️ HyDE generation failed: ${error.message}`))
+            );
+        }
+        await Promise.all(tasks);
+
+        console.log(`🔀 Expanded "${query}" (${mode}): ${expansion.paraphrases.length} paraphrases${expansion.hypothetical ? " + hypothetical record" : ""}`);
+        return expansion;
+    }
+}
+
+export default new QueryExpander();
@@ -0,0 +1,50 @@
+import llmService from "../llmService.js";
+import { TABLES, TABLE_NAMES } from "./datasets.js";
+import { validatePlan } from "./queryEngine.js";
+
+// Phrases that ask for a number computed over many rows rather than for specific records
+const AGGREGATE_PATTERNS = [
+    /\b(total|sum|overall|cumulative)\b/,
+    /\b(average|avg|mean|median)\b/,
+    /\bhow (many|much)\b/,
+    /\b(count|number of|amount of)\b/,
+    /\b(max(imum)?|min(imum)?|highest|lowest|most|least|top \d+|best|worst)\b/,
+    /\b(per|by|each) (day|week|month|year|product|source|campaign|device|channel)\b/,
+    /\b(daily|weekly|monthly|yearly|annual|quarterly|trend)\b/,
+    /\b(rate|ratio|percentage|share)\b/
+];
+
+// Questions naming a specific record are lookups even if they contain an aggregate word
+const LOOKUP_PATTERNS = [/\b(order|session|pageview|refund|item)\s*(id\s*)?#?\d+\b/];
+
+class QueryPlanner {
+    classify(query) {
+        const text = query.toLowerCase();
+        if (LOOKUP_PATTERNS.some((pattern) => pattern.test(text))) return "lookup";
+        return AGGREGATE_PATTERNS.some((pattern) => pattern.test(text)) ? "aggregate" : "lookup";
+    }
+
+    describeSchema() {
+        return TABLE_NAMES.map((table) => `- ${table}: ${TABLES[table].columns.join(", ")}`).join("\n");
+    }
+
+    // Asks the LLM for a structured query and returns it only if it validates. `schemaNotes`
+    // are data dictionary descriptions of the fields the question touches.
+    async plan(query, schemaNotes = "") {
+        const plan = await llmService.planQuery(query, this.describeSchema(), schemaNotes);
+        const errors = validatePlan(plan);
+        if (errors.length > 0) {
+            throw new Error(`Invalid query plan: ${errors.join("; ")}`);
+        }
+        return {
+            table: plan.table,
+            filters: plan.filters || [],
+            groupBy: plan.groupBy || [],
+            metric: plan.metric,
+            order: plan.order || null,
+            limit: plan.limit || null
+        };
+    }
+}
+
+export default new QueryPlanner();
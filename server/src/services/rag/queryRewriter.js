@@ -0,0 +1,48 @@
+import llmService from "../llmService.js";
+
+// Cues that a question leans on earlier turns ("what about the month after?")
+const FOLLOW_UP_PATTERNS = [
+    /\b(it|its|that|those|these|them|they|this one|same)\b/,
+    /^(and|but|also|what about|how about|and what|or)\b/,
+    /\b(before|after|previous|next|prior|following|earlier|later) (one|month|year|week|day|quarter)\b/,
+    /\b(month|year|week|day|quarter) (after|before)\b/,
+    /\b(instead|compared to that|vs\.? that)\b/
+];
+
+// Short questions are usually elliptical when there is history ("mobile?", "and in 2013?")
+const SHORT_QUESTION_WORDS = 4;
+
+// Answers in history are trimmed so the rewrite prompt stays small
+const MAX_TURN_CHARS = 400;
+
+class QueryRewriter {
+    isFollowUp(query) {
+        const text = query.trim().toLowerCase();
+        if (text.split(/\s+/).length <= SHORT_QUESTION_WORDS) return true;
+        return FOLLOW_UP_PATTERNS.some((pattern) => pattern.test(text));
+    }
+
+    // Returns a standalone question. Questions without history, or that do not look like
+    // follow-ups, are returned unchanged without an LLM call.
+    async rewrite(query, history = []) {
+        if (history.length === 0 || !this.isFollowUp(query)) return query;
+
+        const trimmed = history.map((turn) => ({
+            role: turn.role,
+            content: turn.content.length > MAX_TURN_CHARS
+                ? `${turn.content.slice(0, MAX_TURN_CHARS)}…`
+                : turn.content
+        }));
+
+        try {
+            const standalone = await llmService.rewriteQuery(query, trimmed);
+            console.log(`✏️ Rewrote follow-up "${query}" → "${standalone}"`);
+            return standalone;
+        } catch (error) {
+            console.warn(`⚠️ Query rewrite failed, using the original question: ${error.message}`);
+            return query;
+        }
+    }
+}
+
+export default new QueryRewriter();
@@ -0,0 +1,66 @@
+import { Worker } from "worker_threads";
+
+const WORKER_SCRIPT = new URL("./queryWorker.js", import.meta.url);
+
+// Executes query plans on a single worker thread. Plans run one at a time in the worker, which
+// keeps one copy of each cached table. The worker is unref'd while idle so a finished script
+// can exit; a crashed worker fails its pending plans and is respawned on the next one.
+class QueryRunner {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map(); // task id -> { resolve, reject }
+        this.nextId = 0;
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_SCRIPT);
+        worker.unref();
+
+        worker.on("message", ({ id, result, error }) => {
+            const task = this.pending.get(id);
+            if (!task) return;
+            this.pending.delete(id);
+            if (error) task.reject(new Error(error));
+            else task.resolve(result);
+            if (this.pending.size === 0) worker.unref();
+        });
+
+        worker.on("error", (error) => {
+            console.error("❌ Query worker crashed:", error.message);
+            this.fail(worker, error);
+        });
+
+        worker.on("exit", (code) => {
+            this.fail(worker, new Error(`Query worker exited with code ${code}`));
+        });
+
+        this.worker = worker;
+        return worker;
+    }
+
+    fail(worker, error) {
+        if (this.worker !== worker) return;
+        this.worker = null;
+        for (const task of this.pending.values()) task.reject(error);
+        this.pending.clear();
+    }
+
+    // Resolves to executePlan's result
+    run(plan) {
+        const worker = this.worker || this.spawn();
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            worker.ref(); // Keep the process alive while a plan is in flight
+            worker.postMessage({ id, plan });
+        });
+    }
+
+    async close() {
+        const worker = this.worker;
+        this.worker = null;
+        if (worker) await worker.terminate();
+    }
+}
+
+export default new QueryRunner();
@@ -0,0 +1,13 @@
+import { parentPort } from "worker_threads";
+import { executePlan } from "./queryEngine.js";
+
+// Runs query plans off the main thread, so parsing and scanning a full table never blocks
+// the server. Messages in: { id, plan }. Messages out: { id, result } or { id, error }.
+// Tables stay cached in this worker between plans.
+parentPort.on("message", ({ id, plan }) => {
+    try {
+        parentPort.postMessage({ id, result: executePlan(plan) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message || String(error) });
+    }
+});
@@ -0,0 +1,195 @@
+import retriever from "./retriever.js";
+import queryRewriter from "./queryRewriter.js";
+import answerCache from "./answerCache.js";
+import queryPlanner from "./queryPlanner.js";
+import filterExtractor from "./filterExtractor.js";
+import confidence, { ABSTAIN_ANSWER } from "./confidence.js";
+import schemaContext from "./schemaContext.js";
+import queryExpander from "./queryExpander.js";
+import { citationMarker, resolveCitations } from "./citations.js";
+import { formatRecord } from "./datasets.js";
+import { formatResult } from "./queryEngine.js";
+import queryRunner from "./queryRunner.js";
+
+export const NO_CONTEXT_ANSWER = "I couldn't find any relevant data to answer your question.";
+
+// Everything askAI does before calling the LLM, shared by the JSON and SSE modes.
+// Returns the assembled context plus what the client is shown about how it was built.
+// `prepared.query` is the standalone question; pass it (not the raw one) to the LLM.
+class RagPipeline {
+    async prepare(originalQuery, { topK = 5, weights, rerank, expansion: expansionMode, history = [], useCache = true } = {}) {
+        const startedAt = Date.now();
+
+        // 0. Follow-ups ("what about the month after?") become standalone questions
+        const query = await queryRewriter.rewrite(originalQuery, history);
+        const rewriteMs = Date.now() - startedAt;
+
+        // A near-identical question over unchanged data reuses its earlier answer; callers
+        // check `cacheHit` and skip generation
+        if (useCache) {
+            const cacheHit = await answerCache.lookup(query, { topK, weights, rerank, expansion: expansionMode });
+            if (cacheHit) {
+                return {
+                    query,
+                    originalQuery,
+                    cacheHit,
+                    timings: { rewriteMs, cacheMs: Date.now() - startedAt - rewriteMs }
+                };
+            }
+        }
+
+        // Data dictionary entries for the tables and fields the question touches, so the LLM
+        // knows what e.g. is_primary_item or utm_content mean
+        const schemaStartedAt = Date.now();
+        const schema = await schemaContext.lookup(query);
+        const schemaMs = Date.now() - schemaStartedAt;
+
+        // 1. Aggregate questions are answered from an exact computation over the full table,
+        //    never from a handful of nearest neighbours
+        if (queryPlanner.classify(query) === "aggregate") {
+            try {
+                const planStartedAt = Date.now();
+                const plan = await queryPlanner.plan(query, schema.notes);
+                const planMs = Date.now() - planStartedAt;
+                const result = await queryRunner.run(plan);
+                console.log(`🧮 Computed ${plan.metric.op} over ${plan.table} (${result.matchedRows} rows)`);
+
+                return {
+                    query,
+                    originalQuery,
+                    type: "aggregate",
+                    tables: [plan.table],
+                    plan,
+                    result,
+                    matches: [],
+                    context: formatResult(plan, result),
+                    computed: { table: plan.table, plan, matchedRows: result.matchedRows },
+                    schema,
+                    timings: { rewriteMs, schemaMs, planMs, retrievalMs: Date.now() - startedAt - rewriteMs }
+                };
+            } catch (error) {
+                console.warn(`⚠️ Query planning failed, falling back to retrieval: ${error.message}`);
+            }
+        }
+
+        // 2. Turn dates, products, devices, sources and campaigns in the question into
+        //    per-table metadata filters
+        const facets = filterExtractor.extract(query);
+        const selectedTables = retriever.selectTables(query);
+        const metadataFilters = Object.fromEntries(
+            selectedTables
+                .map((table) => [table, filterExtractor.toMetadataFilter(facets, table)])
+                .filter(([, filter]) => filter)
+        );
+        const filters = { applied: filterExtractor.describe(facets), byTable: metadataFilters };
+
+        // 3. Optionally search for LLM paraphrases and a hypothetical answer record as well
+        const expansionStartedAt = Date.now();
+        const expansion = await queryExpander.expand(query, queryExpander.getMode(expansionMode));
+        const expansionMs = Date.now() - expansionStartedAt;
+
+        // 4. Hybrid search (vector + BM25, fused by reciprocal rank, then reranked by a
+        //    cross-encoder) over the relevant tables
+        const { tables, weights: appliedWeights, rerank: rerankInfo, matches, candidates, timings: searchTimings } = await retriever.retrieve(query, {
+            topK,
+            weights,
+            rerank,
+            expansion,
+            tables: selectedTables,
+            filters: metadataFilters
+        });
+        console.log(`✅ Found ${matches.length} matches across ${tables.join(", ")}`);
+
+        // 5. Construct Context (each line is labelled with its [table:id] citation marker)
+        return {
+            query,
+            originalQuery,
+            type: "lookup",
+            tables,
+            filters,
+            weights: appliedWeights,
+            rerank: rerankInfo,
+            expansion,
+            matches,
+            candidates,
+            context: retriever.buildContext(matches),
+            computed: null,
+            schema,
+            timings: { rewriteMs, schemaMs, expansionMs, ...searchTimings, retrievalMs: Date.now() - startedAt - rewriteMs }
+        };
+    }
+
+    // Keeps only citations that point at records (or computed results) that were in context
+    finalize(prepared, rawAnswer) {
+        return resolveCitations(rawAnswer, prepared.matches, { computed: prepared.computed });
+    }
+
+    // Returns { answer, reason } when the LLM should not be called: nothing was retrieved, or
+    // nothing retrieved is relevant enough to answer from
+    checkAbstention(prepared) {
+        if (!prepared.context) return { answer: NO_CONTEXT_ANSWER, reason: "no matching records" };
+        const { abstain, reason } = confidence.shouldAbstain(prepared);
+        if (!abstain) return null;
+        console.log(`🤐 Abstaining on "${prepared.query}": ${reason}`);
+        return { answer: ABSTAIN_ANSWER, reason };
+    }
+
+    // Confidence shown with an answer (pass the abstention when the LLM was skipped)
+    assess(prepared, answer, abstention = null) {
+        return confidence.assess(prepared, answer, { abstained: Boolean(abstention), reason: abstention?.reason ?? null });
+    }
+
+    // Remembers a generated answer for similar questions later
+    async remember(prepared, { topK = 5, weights, rerank, expansion } = {}, response) {
+        try {
+            await answerCache.store(prepared.query, { topK, weights, rerank, expansion }, response);
+        } catch (error) {
+            console.warn(`⚠️ Failed to cache answer: ${error.message}`);
+        }
+    }
+
+    // Everything retrieval saw, for the admin debug route: every fused candidate (not just the
+    // top K) with its per-retriever scores and ranks, and whether it made it into the context
+    explain(prepared) {
+        const { originalQuery, query, type, tables, filters, weights, rerank, expansion, plan, result, schema, candidates = [], matches } = prepared;
+        const inContext = new Set(matches.map((match) => citationMarker(match.table, match.id)));
+        return {
+            originalQuery,
+            standaloneQuery: query,
+            type,
+            tables,
+            filters: filters || null,
+            weights: weights || null,
+            rerank: rerank || null,
+            expansion: expansion || null,
+            schemaFields: (schema?.entries || []).map(({ table, field }) => `${table}.${field}`),
+            plan: plan || null,
+            result: result || null,
+            candidates: candidates.map((candidate, index) => {
+                const marker = citationMarker(candidate.table, candidate.id);
+                return {
+                    rank: index + 1,
+                    marker,
+                    inContext: inContext.has(marker),
+                    fusedScore: candidate.score,
+                    vector: candidate.scores.vector === undefined ? null : { score: candidate.scores.vector, rank: candidate.ranks.vector },
+                    keyword: candidate.scores.keyword === undefined ? null : { score: candidate.scores.keyword, rank: candidate.ranks.keyword },
+                    rerank: candidate.rerankScore ?? null,
+                    // Rank in every list it appeared in, including expansion lists
+                    ranks: candidate.ranks,
+                    text: formatRecord(candidate.table, candidate.metadata, candidate.id)
+                };
+            })
+        };
+    }
+
+    // The part of a prepared result that is sent to the client alongside the answer
+    describe(prepared) {
+        const { query, type, tables, filters, weights, rerank, expansion, plan, result, matches } = prepared;
+        return type === "aggregate"
+            ? { standaloneQuery: query, type, tables, plan, result }
+            : { standaloneQuery: query, type, tables, filters, weights, rerank, expansion, context: matches };
+    }
+}
+
+export default new RagPipeline();
@@ -0,0 +1,142 @@
+import { enrichRow, loadTable } from "./datasets.js";
+
+// Readable sentences for embedding, one template per table. Templates may join related
+// tables (product names, refunds, session traffic source) so a vector carries the meaning
+// of a row rather than its JSON keys. Bump a table's `version` whenever its template
+// changes: the version is stored in vector metadata and part of the content hash, so the
+// next indexing run re-embeds every row of that table.
+
+// === Lookups (built lazily, once per process) ===
+const lookups = new Map();
+
+// A missing related table only makes the sentence shorter; it never blocks indexing
+const lookup = (name, build) => {
+    if (!lookups.has(name)) {
+        let map;
+        try {
+            map = build();
+        } catch (error) {
+            console.warn(`⚠️ Template lookup "${name}" unavailable: ${error.message}`);
+            map = new Map();
+        }
+        lookups.set(name, map);
+    }
+    return lookups.get(name);
+};
+
+const productNames = () => lookup("productNames", () => new Map(
+    loadTable("products").map((product) => [String(product.product_id), product.product_name])
+));
+
+const sumBy = (rows, keyField, valueField) => {
+    const totals = new Map();
+    for (const row of rows) {
+        const key = String(row[keyField]);
+        totals.set(key, (totals.get(key) || 0) + Number(row[valueField] || 0));
+    }
+    return totals;
+};
+
+const refundsByOrder = () => lookup("refundsByOrder", () =>
+    sumBy(loadTable("order_item_refunds"), "order_id", "refund_amount_usd"));
+
+const refundsByItem = () => lookup("refundsByItem", () =>
+    sumBy(loadTable("order_item_refunds"), "order_item_id", "refund_amount_usd"));
+
+// Sessions are the largest join, so only a short phrase is kept per session
+const sessionSources = () => lookup("sessionSources", () => new Map(
+    loadTable("website_sessions").map((session) => [
+        String(session.website_session_id),
+        `${describeSource(session)} on ${session.device_type || "an unknown device"}`
+    ])
+));
+
+const ordersBySession = () => lookup("ordersBySession", () => new Map(
+    loadTable("orders").map((order) => [String(order.website_session_id), order.order_id])
+));
+
+// === Formatting helpers ===
+const formatDate = (value) => (value ? String(value).slice(0, 10) : "an unknown date");
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const productName = (productId) =>
+    productNames().get(String(productId)) || `product ${productId}`;
+
+const describeSource = (session) => {
+    if (session.utm_source) {
+        const campaign = session.utm_campaign ? ` ${session.utm_campaign}` : "";
+        return `${session.utm_source}${campaign}`;
+    }
+    return session.http_referer ? `organic traffic from ${session.http_referer}` : "direct traffic";
+};
+
+const refundPhrase = (amount) => (amount > 0 ? `refunded ${formatMoney(amount)}` : "not refunded");
+
+// === Templates ===
+export const TEMPLATES = {
+    orders: {
+        version: 1,
+        render: (row) => {
+            const source = sessionSources().get(String(row.website_session_id));
+            const items = Number(row.items_purchased);
+            return `Order ${row.order_id} placed ${formatDate(row.created_at)} for ${productName(row.primary_product_id)} ` +
+                `at ${formatMoney(row.price_usd)} (cost ${formatMoney(row.cogs_usd)}), ` +
+                `${items} ${items === 1 ? "item" : "items"}, by user ${row.user_id}` +
+                `${source ? ` from a ${source} session` : ""}, ` +
+                `${refundPhrase(refundsByOrder().get(String(row.order_id)))}.`;
+        }
+    },
+    order_items: {
+        version: 1,
+        render: (row) => {
+            const role = Number(row.is_primary_item) === 1 ? "primary item" : "cross-sell item";
+            return `Order item ${row.order_item_id} of order ${row.order_id} placed ${formatDate(row.created_at)}: ` +
+                `${productName(row.product_id)} (${role}) at ${formatMoney(row.price_usd)}, ` +
+                `cost ${formatMoney(row.cogs_usd)}, ${refundPhrase(refundsByItem().get(String(row.order_item_id)))}.`;
+        }
+    },
+    order_item_refunds: {
+        version: 1,
+        // Rows arrive enriched with product_id (see enrichRow)
+        render: (row) =>
+            `Refund ${row.order_item_refund_id} issued ${formatDate(row.created_at)} for ` +
+            `${formatMoney(row.refund_amount_usd)} on order ${row.order_id}, item ${row.order_item_id}` +
+            `${row.product_id !== undefined ? ` (${productName(row.product_id)})` : ""}.`
+    },
+    products: {
+        version: 1,
+        render: (row) =>
+            `Product ${row.product_id}, ${row.product_name}, launched ${formatDate(row.created_at)}.`
+    },
+    website_sessions: {
+        version: 1,
+        render: (row) => {
+            const visitor = Number(row.is_repeat_session) === 1 ? "repeat visitor" : "new visitor";
+            const orderId = ordersBySession().get(String(row.website_session_id));
+            return [
+                `Website session ${row.website_session_id} started ${formatDate(row.created_at)}`,
+                `by user ${row.user_id} (${visitor}) from ${describeSource(row)}`,
+                row.utm_content ? `(ad ${row.utm_content})` : "",
+                `on ${row.device_type || "an unknown device"},`,
+                orderId !== undefined ? `converted to order ${orderId}.` : "did not convert."
+            ].filter(Boolean).join(" ");
+        }
+    },
+    website_pageviews: {
+        version: 1,
+        render: (row) => {
+            const source = sessionSources().get(String(row.website_session_id));
+            return `Pageview ${row.website_pageview_id} of ${row.pageview_url} on ${formatDate(row.created_at)} ` +
+                `in session ${row.website_session_id}${source ? ` (${source})` : ""}.`;
+        }
+    }
+};
+
+export const templateVersion = (table) => TEMPLATES[table]?.version ?? 0;
+
+// Text that gets embedded (and BM25-indexed) for a row; unknown tables fall back to JSON
+export const renderRecord = (table, row) => {
+    const template = TEMPLATES[table];
+    return template ? template.render(enrichRow(table, row)) : JSON.stringify(row);
+};
@@ -0,0 +1,49 @@
+import { parentPort, workerData } from "worker_threads";
+import { AutoTokenizer, AutoModelForSequenceClassification } from "@xenova/transformers";
+
+// Runs the cross-encoder off the main thread. Messages in: { id, query, texts }.
+// Messages out: { id, result } with a relevance in [0, 1] per text, or { id, error }.
+// workerData.model is the Hugging Face model name
+const BATCH_SIZE = 16; // Query/record pairs per forward pass
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// A failed load fails the task and is retried on a later one (reranker.js backs off)
+let modelPromise = null;
+const load = () => {
+    if (!modelPromise) {
+        modelPromise = Promise.all([
+            AutoTokenizer.from_pretrained(workerData.model),
+            AutoModelForSequenceClassification.from_pretrained(workerData.model)
+        ])
+            .then(([tokenizer, model]) => {
+                console.log(`🎯 Reranker loaded: ${workerData.model}`);
+                return { tokenizer, model };
+            })
+            .catch((error) => {
+                modelPromise = null;
+                throw error;
+            });
+    }
+    return modelPromise;
+};
+
+parentPort.on("message", async ({ id, query, texts }) => {
+    try {
+        const { tokenizer, model } = await load();
+        const scores = [];
+        for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+            const batch = texts.slice(i, i + BATCH_SIZE);
+            const inputs = tokenizer(new Array(batch.length).fill(query), {
+                text_pair: batch,
+                padding: true,
+                truncation: true
+            });
+            const { logits } = await model(inputs);
+            scores.push(...Array.from(logits.data, sigmoid));
+        }
+        parentPort.postMessage({ id, result: scores });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message || String(error) });
+    }
+});
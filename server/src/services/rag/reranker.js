@@ -0,0 +1,76 @@
+import { WorkerPool } from "../embedding/workerPool.js";
+import { formatRecord } from "./datasets.js";
+
+// === CONFIGURATION ===
+// RERANK_ENABLED=false turns reranking off by default (requests can still opt in)
+const DEFAULT_MODEL = "Xenova/ms-marco-MiniLM-L-6-v2";
+const DEFAULT_CANDIDATES = 30; // Fused candidates rescored per question
+const RETRY_LOAD_AFTER_MS = 5 * 60 * 1000;
+const WORKER_SCRIPT = new URL("./rerankWorker.js", import.meta.url);
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+// Bi-encoder retrieval embeds question and record separately; a cross-encoder reads each
+// (question, record) pair together and scores relevance much more accurately, but is too
+// slow to run over a whole index. So retrieval fetches wide and this rescores the top few
+// dozen fused candidates, on a worker thread like the embeddings (see rerankWorker.js).
+class Reranker {
+    constructor() {
+        this.pool = null;
+        this.failedAt = 0;
+    }
+
+    getModelName() {
+        return process.env.RERANK_MODEL || DEFAULT_MODEL;
+    }
+
+    // Per-request `rerank` is a boolean or { enabled, candidates } overriding
+    // RERANK_ENABLED / RERANK_CANDIDATES
+    getOptions(overrides) {
+        const options = typeof overrides === "boolean" ? { enabled: overrides } : overrides || {};
+        return {
+            enabled: options.enabled ?? process.env.RERANK_ENABLED !== "false",
+            candidates: Math.max(1, Math.floor(options.candidates ?? envNumber("RERANK_CANDIDATES", DEFAULT_CANDIDATES)))
+        };
+    }
+
+    // Relevance in [0, 1] for each record, in input order, or null when the model is
+    // unavailable. A failure (e.g. no network for the first download) is retried after a
+    // while instead of on every question.
+    async score(query, texts) {
+        if (this.failedAt && Date.now() - this.failedAt < RETRY_LOAD_AFTER_MS) return null;
+        if (!this.pool) {
+            this.pool = new WorkerPool({ script: WORKER_SCRIPT, workerData: { model: this.getModelName() }, size: 1, name: "Reranker" });
+        }
+
+        try {
+            const scores = await this.pool.run({ query, texts });
+            this.failedAt = 0;
+            return scores;
+        } catch (error) {
+            console.warn(`⚠️ Reranker ${this.getModelName()} failed, keeping fused order: ${error.message}`);
+            this.failedAt = Date.now();
+            return null;
+        }
+    }
+
+    // Rescores `candidates` (fused matches, best first) and returns them reordered, each with a
+    // `rerankScore`. Returns null when the model is unavailable so callers keep the fused order.
+    // Records are scored as the LLM will read them (formatRecord), from their own metadata:
+    // the embedding templates join other tables, which must not be loaded while serving.
+    async rerank(query, candidates) {
+        if (candidates.length === 0) return [];
+        const texts = candidates.map((candidate) => formatRecord(candidate.table, candidate.metadata || {}, candidate.id));
+        const scores = await this.score(query, texts);
+        if (!scores) return null;
+
+        return candidates
+            .map((candidate, index) => ({ ...candidate, rerankScore: scores[index] }))
+            .sort((a, b) => b.rerankScore - a.rerankScore);
+    }
+}
+
+export default new Reranker();
@@ -0,0 +1,187 @@
+import embeddingService from "../embeddingService.js";
+import { getVectorStore } from "../vectorStore/index.js";
+import { TABLES, TABLE_NAMES, formatRecord } from "./datasets.js";
+import { getKeywordIndex } from "./keywordIndex.js";
+import indexGuard from "./indexGuard.js";
+import reranker from "./reranker.js";
+import { DEFAULT_RRF_K, reciprocalRankFusion } from "./fusion.js";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Precompiled whole-word matchers for each table's routing keywords
+const KEYWORD_PATTERNS = Object.fromEntries(
+    TABLE_NAMES.map((table) => [
+        table,
+        TABLES[table].keywords.map((kw) => new RegExp(`(^|[^a-z0-9])${escapeRegExp(kw)}($|[^a-z0-9])`))
+    ])
+);
+
+// Each list is over-fetched so fusion has enough candidates to reorder
+const CANDIDATE_MULTIPLIER = 4;
+const MIN_CANDIDATES = 20;
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+// Resolves with [result, elapsed ms]
+const timed = async (work) => {
+    const startedAt = Date.now();
+    const result = await work();
+    return [result, Date.now() - startedAt];
+};
+
+class Retriever {
+    // Fusion weights default to HYBRID_VECTOR_WEIGHT / HYBRID_KEYWORD_WEIGHT / RRF_K and can be
+    // overridden per request. A weight of 0 disables that retriever.
+    getWeights(overrides = {}) {
+        return {
+            vector: overrides.vector ?? envNumber("HYBRID_VECTOR_WEIGHT", 1),
+            keyword: overrides.keyword ?? envNumber("HYBRID_KEYWORD_WEIGHT", 1),
+            k: overrides.k ?? envNumber("RRF_K", DEFAULT_RRF_K)
+        };
+    }
+
+    // Picks the tables a question is about by keyword hits. Questions that mention no
+    // table-specific words search every namespace.
+    selectTables(query) {
+        const text = query.toLowerCase();
+        const scored = TABLE_NAMES.map((table) => ({
+            table,
+            hits: KEYWORD_PATTERNS[table].filter((pattern) => pattern.test(text)).length
+        }))
+            .filter(({ hits }) => hits > 0)
+            .sort((a, b) => b.hits - a.hits);
+
+        return scored.length > 0 ? scored.map(({ table }) => table) : [...TABLE_NAMES];
+    }
+
+    // `filters` maps table name → metadata filter for that table's namespace
+    async vectorSearch(query, tables, topK, filters = {}) {
+        await indexGuard.assertCompatible();
+        const embedding = await embeddingService.getEmbedding(query);
+        const store = getVectorStore();
+
+        const perTable = await Promise.all(
+            tables.map(async (table) => {
+                const { matches } = await store.query(TABLES[table].namespace, {
+                    vector: embedding,
+                    topK,
+                    filter: filters[table],
+                    includeMetadata: true
+                });
+                return matches.map((match) => ({ ...match, table }));
+            })
+        );
+        return perTable.flat().sort((a, b) => b.score - a.score);
+    }
+
+    keywordSearch(query, tables, topK, filters = {}) {
+        return tables
+            .flatMap((table) => {
+                const index = getKeywordIndex(TABLES[table].namespace);
+                if (!index) return [];
+                // The index only holds filter fields; fused matches get their metadata in hydrate()
+                return index.search(query, { topK, filter: filters[table] }).map(({ id, score }) => ({ id, score, table }));
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Keyword-only matches have no record metadata yet: it is read back from the vector store.
+    // Matches whose record is not in the store (e.g. a failed upsert) are dropped.
+    async hydrate(fused) {
+        const missing = fused.filter((match) => !match.metadata);
+        if (missing.length === 0) return fused;
+
+        const store = getVectorStore();
+        const byTable = new Map();
+        for (const match of missing) {
+            if (!byTable.has(match.table)) byTable.set(match.table, []);
+            byTable.get(match.table).push(match);
+        }
+        await Promise.all([...byTable].map(async ([table, matches]) => {
+            const records = await store.fetch(TABLES[table].namespace, matches.map((match) => match.id));
+            const metadata = new Map(records.map((record) => [record.id, record.metadata]));
+            for (const match of matches) match.metadata = metadata.get(match.id) || null;
+        }));
+        return fused.filter((match) => match.metadata);
+    }
+
+    // The texts searched for one question: the question itself, plus any paraphrases (vector
+    // and keyword) and hypothetical record (vector only: its invented values would mislead
+    // BM25) from query expansion. Ranked lists are named "vector", "keyword:paraphrase1", ...
+    searchVariants(query, { paraphrases = [], hypothetical = null } = {}) {
+        return [
+            { suffix: "", text: query, keyword: true },
+            ...paraphrases.map((text, i) => ({ suffix: `:paraphrase${i + 1}`, text, keyword: true })),
+            ...(hypothetical ? [{ suffix: ":hyde", text: hypothetical, keyword: false }] : [])
+        ];
+    }
+
+    // Fetches wide, fuses, and (unless disabled) lets the cross-encoder reorder the top
+    // `rerank.candidates` before keeping `topK`. Filters, tables and reranking always follow
+    // the original question.
+    async retrieve(query, { topK = 5, tables, weights: weightOverrides, filters = {}, rerank: rerankOverrides, expansion } = {}) {
+        const selected = tables && tables.length > 0 ? tables : this.selectTables(query);
+        const weights = this.getWeights(weightOverrides);
+        const rerank = reranker.getOptions(rerankOverrides);
+        const candidates = Math.max(topK * CANDIDATE_MULTIPLIER, MIN_CANDIDATES, rerank.enabled ? rerank.candidates : 0);
+        const variants = this.searchVariants(query, expansion);
+
+        const [[vectorLists, vectorMs], [keywordLists, keywordMs]] = await Promise.all([
+            timed(async () => (weights.vector > 0
+                ? Promise.all(variants.map(async ({ suffix, text }) => ({
+                    name: `vector${suffix}`,
+                    matches: await this.vectorSearch(text, selected, candidates, filters),
+                    weight: weights.vector
+                })))
+                : [])),
+            timed(async () => (weights.keyword > 0
+                ? variants.filter((variant) => variant.keyword).map(({ suffix, text }) => ({
+                    name: `keyword${suffix}`,
+                    matches: this.keywordSearch(text, selected, candidates, filters),
+                    weight: weights.keyword
+                }))
+                : []))
+        ]);
+
+        const fusionStartedAt = Date.now();
+        let fused = await this.hydrate(reciprocalRankFusion([...vectorLists, ...keywordLists], { k: weights.k }));
+        const fusionMs = Date.now() - fusionStartedAt;
+
+        let rerankInfo = { enabled: rerank.enabled, applied: false };
+        let rerankMs = null;
+        if (rerank.enabled && fused.length > 0) {
+            const rerankStartedAt = Date.now();
+            const window = fused.slice(0, rerank.candidates);
+            let reranked = null;
+            try {
+                reranked = await reranker.rerank(query, window);
+            } catch (error) {
+                console.warn(`⚠️ Reranking failed, keeping fused order: ${error.message}`);
+            }
+            rerankMs = Date.now() - rerankStartedAt;
+            if (reranked) {
+                fused = [...reranked, ...fused.slice(window.length)];
+                rerankInfo = { enabled: true, applied: true, model: reranker.getModelName(), candidates: window.length, latencyMs: rerankMs };
+            }
+        }
+
+        // `candidates` is the whole fused list (with per-retriever scores and ranks) for debugging
+        return {
+            tables: selected,
+            weights,
+            rerank: rerankInfo,
+            matches: fused.slice(0, topK),
+            candidates: fused,
+            timings: { vectorMs, keywordMs, fusionMs, rerankMs }
+        };
+    }
+
+    buildContext(matches) {
+        return matches.map((match) => formatRecord(match.table, match.metadata, match.id)).join("\n");
+    }
+}
+
+export default new Retriever();
@@ -0,0 +1,127 @@
+import embeddingService from "../embeddingService.js";
+import { getVectorStore } from "../vectorStore/index.js";
+import { TABLE_NAMES, loadDataDictionary } from "./datasets.js";
+
+// === CONFIGURATION ===
+export const SCHEMA_NAMESPACE = "schema-ns"; // Data dictionary entries, one vector per field
+const MAX_ENTRIES = 20; // Dictionary entries injected into one prompt
+const SEMANTIC_TOP_K = 3;
+const DEFAULT_MIN_SCORE = 0.45; // SCHEMA_MIN_SCORE: similarity for an unnamed field to be added
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const wholePhrase = (phrase) => new RegExp(`(^|[^a-z0-9_])${escapeRegExp(phrase)}($|[^a-z0-9_])`);
+
+export const schemaEntryId = ({ table, field }) => `${table}.${field}`;
+
+export const renderSchemaEntry = ({ table, field, description }) =>
+    `${table}.${field}: ${description || "(no description)"}`;
+
+// How a question may name a field: "is_primary_item", "is primary item" or "primary item".
+// A single leftover word ("price" from price_usd) is too vague to count as a mention.
+const fieldPhrases = (field) => {
+    const spaced = field.replace(/_/g, " ");
+    const stripped = spaced.replace(/^is /, "").replace(/ (usd|id)$/, "");
+    return [...new Set([field, spaced, ...(stripped.includes(" ") ? [stripped] : [])])];
+};
+
+const tablePhrases = (table) => [...new Set([table, table.replace(/_/g, " ")])];
+
+// The data dictionary as prompt context: entries for tables or fields a question names, plus
+// the closest entries by embedding (from SCHEMA_NAMESPACE, built by indexOrders.js) so that
+// "first-time visitors" still brings in is_repeat_session.
+class SchemaContext {
+    constructor() {
+        this.matchers = null;
+        this.warned = false;
+    }
+
+    getEntries() {
+        try {
+            return loadDataDictionary();
+        } catch (error) {
+            if (!this.warned) {
+                console.warn(`⚠️ Data dictionary unavailable, prompts get no schema notes: ${error.message}`);
+                this.warned = true;
+            }
+            return [];
+        }
+    }
+
+    // Whole-phrase matchers, built once
+    getMatchers() {
+        if (!this.matchers) {
+            const entries = this.getEntries();
+            const tables = [...new Set([...TABLE_NAMES, ...entries.map((entry) => entry.table)])];
+            this.matchers = {
+                tables: new Map(tables.map((table) => [table, tablePhrases(table).map(wholePhrase)])),
+                fields: entries.map((entry) => ({ entry, patterns: fieldPhrases(entry.field).map(wholePhrase) }))
+            };
+        }
+        return this.matchers;
+    }
+
+    // Entries for every field of a named table and for every named field
+    mentioned(query) {
+        const text = query.toLowerCase();
+        const { tables, fields } = this.getMatchers();
+        const namedTables = new Set(
+            [...tables].filter(([, patterns]) => patterns.some((pattern) => pattern.test(text))).map(([table]) => table)
+        );
+        return fields
+            .filter(({ entry, patterns }) => namedTables.has(entry.table) || patterns.some((pattern) => pattern.test(text)))
+            .map(({ entry }) => entry);
+    }
+
+    // Closest entries in the schema namespace; empty if it was never indexed or the query fails
+    async similar(query) {
+        try {
+            const vector = await embeddingService.getEmbedding(query);
+            const { matches } = await getVectorStore().query(SCHEMA_NAMESPACE, {
+                vector,
+                topK: SEMANTIC_TOP_K,
+                includeMetadata: true
+            });
+            const minScore = envNumber("SCHEMA_MIN_SCORE", DEFAULT_MIN_SCORE);
+            return matches
+                .filter((match) => match.score >= minScore && match.metadata?.field)
+                .map(({ metadata }) => ({ table: metadata.table, field: metadata.field, description: metadata.description }));
+        } catch (error) {
+            console.warn(`⚠️ Schema search failed: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Returns { entries, notes }; `notes` is one "table.field: description" line per entry,
+    // or "" when the question touches nothing in the dictionary
+    async lookup(query, { semantic = true } = {}) {
+        const entries = this.getEntries();
+        if (entries.length === 0) return { entries: [], notes: "" };
+
+        const selected = new Map();
+        for (const entry of this.mentioned(query)) selected.set(schemaEntryId(entry), entry);
+        if (semantic) {
+            for (const entry of await this.similar(query)) {
+                if (!selected.has(schemaEntryId(entry))) selected.set(schemaEntryId(entry), entry);
+            }
+        }
+
+        const chosen = [...selected.values()].slice(0, MAX_ENTRIES);
+        return { entries: chosen, notes: chosen.map(renderSchemaEntry).join("\n") };
+    }
+
+    // What indexOrders.js embeds into SCHEMA_NAMESPACE
+    records() {
+        return this.getEntries().map((entry) => ({
+            id: schemaEntryId(entry),
+            text: `Field ${entry.field} of table ${entry.table.replace(/_/g, " ")}: ${entry.description}`,
+            metadata: { table: entry.table, field: entry.field, description: entry.description }
+        }));
+    }
+}
+
+export default new SchemaContext();
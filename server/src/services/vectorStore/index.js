@@ -0,0 +1,37 @@
+import * as path from "path";
+import { fileURLToPath } from "url";
+import PineconeVectorStore from "./pineconeStore.js";
+import LocalVectorStore from "./localStore.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_LOCAL_PATH = path.join(__dirname, "../../../.vectorstore");
+
+let store = null;
+
+// Backend is chosen by VECTOR_STORE ("pinecone" | "local"). Env is read on first call,
+// not at import time, so dotenv has already run by the time a request needs the store.
+export const getVectorStore = () => {
+    if (store) return store;
+
+    const backend = (process.env.VECTOR_STORE || "pinecone").toLowerCase();
+    switch (backend) {
+        case "pinecone":
+            store = new PineconeVectorStore({
+                apiKey: process.env.PINECONE_API_KEY,
+                indexName: process.env.PINECONE_INDEX_NAME || "quickstart"
+            });
+            break;
+        case "local":
+            store = new LocalVectorStore({
+                dir: process.env.VECTOR_STORE_PATH || DEFAULT_LOCAL_PATH
+            });
+            break;
+        default:
+            throw new Error(`Unknown VECTOR_STORE backend: ${backend}`);
+    }
+    return store;
+};
+
+export { PineconeVectorStore, LocalVectorStore };
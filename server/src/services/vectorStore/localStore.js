@@ -0,0 +1,199 @@
+import * as fs from "fs";
+import * as path from "path";
+import { matchesFilter } from "./metadataFilter.js";
+
+// In-process, disk-persisted brute-force vector store for offline development.
+// Each namespace is stored as two files inside `dir`:
+//   <namespace>.json - { dimension, ids: [], metadata: [] }
+//   <namespace>.bin  - Float32 vectors, row-major, in the same order as `ids`
+// A namespace is re-read when its files change, so a running server picks up what a separate
+// indexOrders.js process wrote (unless it has unflushed writes of its own).
+class LocalVectorStore {
+    constructor({ dir, flushDelayMs = 1000 }) {
+        this.dir = dir;
+        this.flushDelayMs = flushDelayMs;
+        this.namespaces = new Map(); // namespace -> { records: Map(id -> { values, metadata }), fileVersion }
+        this.dimension = null;
+        this.dirty = new Set();
+        this.flushTimer = null;
+    }
+
+    async ensureReady() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const loaded = this.listNamespaces().map((ns) => this.getNamespace(ns));
+        return { name: this.dir, dimension: this.dimension, namespaces: loaded.length };
+    }
+
+    listNamespaces() {
+        if (!fs.existsSync(this.dir)) return [...this.namespaces.keys()];
+        const onDisk = fs
+            .readdirSync(this.dir)
+            .filter((file) => file.endsWith(".json"))
+            .map((file) => file.slice(0, -".json".length));
+        return [...new Set([...onDisk, ...this.namespaces.keys()])];
+    }
+
+    getNamespace(namespace) {
+        const cached = this.namespaces.get(namespace);
+        if (cached && (this.dirty.has(namespace) || cached.fileVersion === this.fileVersion(namespace))) {
+            return cached.records;
+        }
+        const fileVersion = this.fileVersion(namespace);
+        const records = this.load(namespace);
+        this.namespaces.set(namespace, { records, fileVersion });
+        return records;
+    }
+
+    // mtimes of both files, or null while the namespace has not been written
+    fileVersion(namespace) {
+        try {
+            const meta = fs.statSync(path.join(this.dir, `${namespace}.json`));
+            const bin = fs.statSync(path.join(this.dir, `${namespace}.bin`));
+            return `${meta.mtimeMs}:${bin.mtimeMs}`;
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            return null;
+        }
+    }
+
+    load(namespace) {
+        const records = new Map();
+        const metaPath = path.join(this.dir, `${namespace}.json`);
+        const binPath = path.join(this.dir, `${namespace}.bin`);
+        if (!fs.existsSync(metaPath) || !fs.existsSync(binPath)) return records;
+
+        const { dimension, ids, metadata } = JSON.parse(fs.readFileSync(metaPath, "utf-8"));
+        const buffer = fs.readFileSync(binPath);
+        const vectors = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+
+        this.assertDimension(dimension);
+        ids.forEach((id, i) => {
+            records.set(id, {
+                values: vectors.slice(i * dimension, (i + 1) * dimension),
+                metadata: metadata[i] || {}
+            });
+        });
+        return records;
+    }
+
+    assertDimension(dimension) {
+        if (!dimension) return;
+        if (this.dimension === null) {
+            this.dimension = dimension;
+        } else if (this.dimension !== dimension) {
+            throw new Error(`Vector dimension mismatch: store is ${this.dimension}, got ${dimension}`);
+        }
+    }
+
+    async upsert(namespace, records) {
+        const ns = this.getNamespace(namespace);
+        for (const record of records) {
+            this.assertDimension(record.values.length);
+            ns.set(String(record.id), {
+                values: Float32Array.from(record.values),
+                metadata: record.metadata || {}
+            });
+        }
+        this.markDirty(namespace);
+    }
+
+    async query(namespace, { vector, topK = 5, filter, includeMetadata = true }) {
+        const ns = this.getNamespace(namespace);
+        const queryNorm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        const scored = [];
+
+        for (const [id, { values, metadata }] of ns) {
+            if (!matchesFilter(metadata, filter)) continue;
+
+            let dot = 0;
+            let norm = 0;
+            for (let i = 0; i < values.length; i++) {
+                dot += values[i] * vector[i];
+                norm += values[i] * values[i];
+            }
+            scored.push({
+                id,
+                score: dot / (queryNorm * (Math.sqrt(norm) || 1)),
+                ...(includeMetadata ? { metadata } : {})
+            });
+        }
+
+        scored.sort((a, b) => b.score - a.score);
+        return { matches: scored.slice(0, topK) };
+    }
+
+    // Metadata of the stored records among `ids`: [{ id, metadata }]
+    async fetch(namespace, ids) {
+        const ns = this.getNamespace(namespace);
+        return ids
+            .filter((id) => ns.has(String(id)))
+            .map((id) => ({ id: String(id), metadata: ns.get(String(id)).metadata }));
+    }
+
+    async delete(namespace, ids) {
+        const ns = this.getNamespace(namespace);
+        ids.forEach((id) => ns.delete(String(id)));
+        this.markDirty(namespace);
+    }
+
+    async deleteAll(namespace) {
+        this.getNamespace(namespace).clear();
+        this.markDirty(namespace);
+    }
+
+    async stats() {
+        const namespaces = {};
+        let totalRecordCount = 0;
+        for (const name of this.listNamespaces()) {
+            const recordCount = this.getNamespace(name).size;
+            namespaces[name] = { recordCount };
+            totalRecordCount += recordCount;
+        }
+        return { backend: "local", dimension: this.dimension, totalRecordCount, namespaces };
+    }
+
+    // Writes are batched: upserts mark a namespace dirty and a debounced flush rewrites it
+    markDirty(namespace) {
+        this.dirty.add(namespace);
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flush().catch((err) => console.error("❌ Local vector store flush failed:", err));
+        }, this.flushDelayMs);
+        this.flushTimer.unref?.();
+    }
+
+    async flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.dirty.size === 0) return;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        for (const namespace of this.dirty) {
+            const ns = this.getNamespace(namespace);
+            const dimension = this.dimension || 0;
+            const ids = [];
+            const metadata = [];
+            const vectors = new Float32Array(ns.size * dimension);
+
+            let i = 0;
+            for (const [id, record] of ns) {
+                ids.push(id);
+                metadata.push(record.metadata);
+                vectors.set(record.values, i * dimension);
+                i++;
+            }
+
+            // Write to temp files first so a crash never leaves a half-written namespace
+            const metaPath = path.join(this.dir, `${namespace}.json`);
+            const binPath = path.join(this.dir, `${namespace}.bin`);
+            fs.writeFileSync(`${binPath}.tmp`, Buffer.from(vectors.buffer));
+            fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify({ dimension, ids, metadata }));
+            fs.renameSync(`${binPath}.tmp`, binPath);
+            fs.renameSync(`${metaPath}.tmp`, metaPath);
+            this.namespaces.set(namespace, { records: ns, fileVersion: this.fileVersion(namespace) });
+        }
+        this.dirty.clear();
+    }
+}
+
+export default LocalVectorStore;
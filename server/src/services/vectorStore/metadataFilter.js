@@ -0,0 +1,52 @@
+// Evaluates Pinecone-style metadata filters against a plain metadata object so the
+// local store accepts exactly the same `filter` shape as the Pinecone adapter.
+// Supported: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and, $or
+
+const compare = (value, operator, operand) => {
+    switch (operator) {
+        case "$eq":
+            return Array.isArray(value) ? value.includes(operand) : value === operand;
+        case "$ne":
+            return Array.isArray(value) ? !value.includes(operand) : value !== operand;
+        case "$gt":
+            return typeof value === "number" && value > operand;
+        case "$gte":
+            return typeof value === "number" && value >= operand;
+        case "$lt":
+            return typeof value === "number" && value < operand;
+        case "$lte":
+            return typeof value === "number" && value <= operand;
+        case "$in":
+            return Array.isArray(value)
+                ? value.some((v) => operand.includes(v))
+                : operand.includes(value);
+        case "$nin":
+            return Array.isArray(value)
+                ? !value.some((v) => operand.includes(v))
+                : !operand.includes(value);
+        case "$exists":
+            return operand ? value !== undefined : value === undefined;
+        default:
+            throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+};
+
+const matchesField = (value, condition) => {
+    // Shorthand `{ field: "x" }` means `{ field: { $eq: "x" } }`
+    if (condition === null || typeof condition !== "object" || Array.isArray(condition)) {
+        return compare(value, "$eq", condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) =>
+        compare(value, operator, operand)
+    );
+};
+
+export const matchesFilter = (metadata = {}, filter) => {
+    if (!filter || Object.keys(filter).length === 0) return true;
+
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === "$and") return condition.every((sub) => matchesFilter(metadata, sub));
+        if (key === "$or") return condition.some((sub) => matchesFilter(metadata, sub));
+        return matchesField(metadata[key], condition);
+    });
+};
@@ -0,0 +1,89 @@
+import { Pinecone } from "@pinecone-database/pinecone";
+
+class PineconeVectorStore {
+    constructor({ apiKey, indexName }) {
+        this.apiKey = apiKey;
+        this.indexName = indexName;
+        this.client = null;
+        this.index = null;
+    }
+
+    // The client is created on first use so the server can boot without a Pinecone key
+    getIndex() {
+        if (!this.index) {
+            if (!this.apiKey) {
+                throw new Error("PINECONE_API_KEY is not defined in environment variables");
+            }
+            this.client = new Pinecone({ apiKey: this.apiKey });
+            this.index = this.client.Index(this.indexName);
+        }
+        return this.index;
+    }
+
+    async ensureReady(maxRetries = 5) {
+        this.getIndex();
+
+        let description;
+        let retries = 0;
+        while (retries < maxRetries) {
+            try {
+                description = await this.client.describeIndex(this.indexName);
+                break;
+            } catch (err) {
+                retries++;
+                console.warn(`⚠️ Pinecone connection attempt ${retries} failed: ${err.message}. Retrying in 2s...`);
+                await new Promise((r) => setTimeout(r, 2000));
+            }
+        }
+
+        if (!description || !description.status?.ready) {
+            throw new Error(`Pinecone index is not ready or reachable after ${maxRetries} attempts.`);
+        }
+        return { name: this.indexName, dimension: description.dimension };
+    }
+
+    async upsert(namespace, records) {
+        await this.getIndex().namespace(namespace).upsert(records);
+    }
+
+    async query(namespace, { vector, topK = 5, filter, includeMetadata = true }) {
+        const response = await this.getIndex().namespace(namespace).query({
+            vector,
+            topK,
+            includeMetadata,
+            ...(filter && Object.keys(filter).length > 0 ? { filter } : {})
+        });
+        return { matches: response.matches || [] };
+    }
+
+    // Metadata of the stored records among `ids`: [{ id, metadata }]
+    async fetch(namespace, ids) {
+        if (ids.length === 0) return [];
+        const response = await this.getIndex().namespace(namespace).fetch(ids.map(String));
+        return Object.values(response.records || {}).map((record) => ({ id: record.id, metadata: record.metadata || {} }));
+    }
+
+    async delete(namespace, ids) {
+        if (ids.length === 0) return;
+        await this.getIndex().namespace(namespace).deleteMany(ids);
+    }
+
+    async deleteAll(namespace) {
+        await this.getIndex().namespace(namespace).deleteAll();
+    }
+
+    async stats() {
+        const stats = await this.getIndex().describeIndexStats();
+        return {
+            backend: "pinecone",
+            dimension: stats.dimension,
+            totalRecordCount: stats.totalRecordCount,
+            namespaces: stats.namespaces || {}
+        };
+    }
+
+    // Pinecone persists on write; kept so callers can treat every backend the same
+    async flush() {}
+}
+
+export default PineconeVectorStore;